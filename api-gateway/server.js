@@ -5,11 +5,20 @@ const morgan = require('morgan');
 const axios = require('axios');
 
 const serviceRegistry = require('../shared/serviceRegistry');
+const { loadServiceConfig, listenAndRegister } = require('../shared/serviceConfig');
+const { createHealthChecks, serviceCheck } = require('../shared/health');
+const deadLetters = require('../shared/deadLetters');
 
 class APIGateway {
     constructor() {
         this.app = express();
-        this.port = process.env.PORT || 3000;
+        // Host/porta/URL anunciada vêm do ambiente (API_GATEWAY_PORT ou PORT, ...: ver shared/serviceConfig)
+        this.config = loadServiceConfig('api-gateway', {
+            port: 3000,
+            version: require('./package.json').version,
+            endpoints: ['/api/auth', '/api/users', '/api/items', '/api/lists', '/api/admin', '/api/dashboard', '/api/search', '/registry', '/health', '/health/live', '/health/ready'],
+            tags: ['gateway']
+        });
 
         // Circuit breaker simples
         this.circuitBreakers = new Map();
@@ -20,16 +29,6 @@ class APIGateway {
         setTimeout(() => {
             this.startHealthChecks();
         }, 3000);
-
-        const servicesToRegister = [
-            { name: 'user-service', url: 'http://localhost:3001' },
-            { name: 'item-service', url: 'http://localhost:3003' },
-            { name: 'list-service', url: 'http://localhost:3002' }
-        ];
-
-        servicesToRegister.forEach(service => {
-            serviceRegistry.register(service.name, { url: service.url });
-        });
     }
 
     setupMiddleware() {
@@ -64,18 +63,34 @@ class APIGateway {
     }
 
     setupRoutes() {
-        // Gateway health check
-        this.app.get('/health', (req, res) => {
-            const services = serviceRegistry.listServices();
-            res.json({
-                service: 'api-gateway',
-                status: 'healthy',
-                timestamp: new Date().toISOString(),
-                architecture: 'Microservices with NoSQL',
-                services: services,
-                serviceCount: Object.keys(services).length
-            });
+        // Gateway health checks. Nenhuma dependência é crítica: com o registry fora o gateway
+        // roteia pelo catálogo em cache, e um serviço fora afeta só as suas rotas ('degraded')
+        this.health = createHealthChecks({
+            service: 'api-gateway',
+            version: this.config.metadata.version,
+            checks: {
+                registry: {
+                    check: () => {
+                        const { registry } = serviceRegistry.getStats();
+                        if (registry.stale) throw new Error(`registry indisponível: ${registry.lastError || 'ainda não sincronizado'}`);
+                        return { url: registry.url, version: registry.version };
+                    },
+                    critical: false
+                },
+                'user-service': { check: serviceCheck(serviceRegistry, 'user-service'), critical: false },
+                'list-service': { check: serviceCheck(serviceRegistry, 'list-service'), critical: false },
+                'item-service': { check: serviceCheck(serviceRegistry, 'item-service'), critical: false }
+            },
+            details: () => {
+                const services = serviceRegistry.listServices();
+                return {
+                    architecture: 'Microservices with NoSQL',
+                    services: services,
+                    serviceCount: Object.keys(services).length
+                };
+            }
         });
+        this.health.mount(this.app);
 
         // Gateway info
         this.app.get('/', (req, res) => {
@@ -90,6 +105,8 @@ class APIGateway {
                     users: '/api/users/*',
                     items: '/api/items/*',
                     lists: '/api/lists/*',
+                    admin: '/api/admin/*',
+                    deadLetters: '/api/admin/events/dlq',
                     health: '/health',
                     registry: '/registry',
                     dashboard: '/api/dashboard',
@@ -100,12 +117,18 @@ class APIGateway {
         });
 
         // Service registry endpoint
-        this.app.get('/registry', (req, res) => {
+        this.app.get('/registry', async (req, res) => {
+            // Catálogo atualizado para a idade dos leases; com o registry fora, vale o cache
+            await serviceRegistry.refresh().catch(() => {});
             const services = serviceRegistry.listServices();
+            // Histórico de despejos vem do registry; se ele estiver fora, o catálogo em cache ainda é listado
+            const evictions = await serviceRegistry.getEvictions().catch(() => null);
             res.json({
                 success: true,
                 services: services,
                 count: Object.keys(services).length,
+                stats: serviceRegistry.getStats(),
+                evictions,
                 timestamp: new Date().toISOString()
             });
         });
@@ -144,11 +167,117 @@ class APIGateway {
             this.proxyRequest('list-service', req, res, next);
         });
 
+        // Dead-letter queues dos consumidores de eventos (atendidas pelo próprio gateway)
+        this.setupDeadLetterRoutes();
+
+        // Administração (backups) - user-service
+        this.app.use('/api/admin', (req, res, next) => {
+            console.log(`🔗 Roteando para user-service: ${req.method} ${req.originalUrl}`);
+            this.proxyRequest('user-service', req, res, next);
+        });
+
         // Endpoints agregados
         this.app.get('/api/dashboard', this.getDashboard.bind(this));
         this.app.get('/api/search', this.globalSearch.bind(this));
     }
 
+    setupDeadLetterRoutes() {
+        const adminOnly = this.requireAdmin.bind(this);
+        const base = '/api/admin/events/dlq';
+
+        this.app.get(base, adminOnly, this.deadLetterHandler(async () => {
+            return deadLetters.listDeadLetterQueues();
+        }));
+
+        this.app.get(`${base}/:queue`, adminOnly, this.deadLetterHandler(async (req) => {
+            return deadLetters.listDeadLetters(req.params.queue);
+        }));
+
+        this.app.get(`${base}/:queue/:id`, adminOnly, this.deadLetterHandler(async (req) => {
+            return deadLetters.getDeadLetter(req.params.queue, req.params.id);
+        }));
+
+        // Corpo: { ids: [...] } ou { all: true }
+        this.app.post(`${base}/:queue/replay`, adminOnly, this.deadLetterHandler(async (req) => {
+            return deadLetters.replayDeadLetters(req.params.queue, this.selectedIds(req.body));
+        }));
+
+        this.app.post(`${base}/:queue/discard`, adminOnly, this.deadLetterHandler(async (req) => {
+            return deadLetters.discardDeadLetters(req.params.queue, this.selectedIds(req.body));
+        }));
+    }
+
+    selectedIds(body = {}) {
+        if (body.all === true) return 'all';
+        if (Array.isArray(body.ids) && body.ids.length > 0 && body.ids.every(id => typeof id === 'string')) {
+            return body.ids;
+        }
+        const error = new Error('Informe ids (lista de ids de mensagens) ou all: true');
+        error.status = 400;
+        throw error;
+    }
+
+    deadLetterHandler(action) {
+        return async (req, res) => {
+            try {
+                const data = await action(req);
+                res.json({ success: true, data });
+            } catch (error) {
+                let status = error.status || 503;
+                if (error instanceof deadLetters.UnknownQueueError || error instanceof deadLetters.DeadLetterNotFoundError) {
+                    status = 404;
+                }
+                if (status === 503) {
+                    console.error('Erro ao acessar dead-letter queues:', error.message);
+                }
+                res.status(status).json({
+                    success: false,
+                    message: status === 503 ? 'RabbitMQ indisponível' : error.message,
+                    error: status === 503 ? error.message : undefined
+                });
+            }
+        };
+    }
+
+    // Administradores: o token é validado no user-service, que devolve o usuário com o role
+    async requireAdmin(req, res, next) {
+        const authHeader = req.header('Authorization');
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            return res.status(401).json({
+                success: false,
+                message: 'Token de autenticação obrigatório'
+            });
+        }
+
+        try {
+            const userService = serviceRegistry.discover('user-service');
+            const response = await axios.post(`${userService.url}/auth/validate`,
+                { token: authHeader.replace('Bearer ', '') },
+                { timeout: 5000, validateStatus: status => status < 500 }
+            );
+
+            if (response.status !== 200) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Token inválido'
+                });
+            }
+            if (response.data.data?.user?.role !== 'admin') {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Acesso restrito a administradores'
+                });
+            }
+            next();
+        } catch (error) {
+            console.error('Erro ao validar administrador:', error.message);
+            res.status(503).json({
+                success: false,
+                message: 'Serviço user-service indisponível'
+            });
+        }
+    }
+
     setupErrorHandling() {
         // 404 handler
         this.app.use('*', (req, res) => {
@@ -161,6 +290,7 @@ class APIGateway {
                     users: '/api/users',
                     items: '/api/items',
                     lists: '/api/lists',
+                    admin: '/api/admin',
                     dashboard: '/api/dashboard',
                     search: '/api/search'
                 }
@@ -181,10 +311,12 @@ class APIGateway {
             });
         }
 
+        let release = () => {};
         try {
             let service;
             try {
                 service = serviceRegistry.discover(serviceName);
+                release = serviceRegistry.acquire(service);
             } catch (error) {
                 console.error(`❌ Erro na descoberta do serviço ${serviceName}:`, error.message);
                 const availableServices = serviceRegistry.listServices();
@@ -208,6 +340,8 @@ class APIGateway {
                     targetPath = originalPath.replace('/api/auth', '/auth');
                 } else if (originalPath.startsWith('/api/users')) {
                     targetPath = originalPath.replace('/api/users', '/users');
+                } else if (originalPath.startsWith('/api/admin')) {
+                    targetPath = originalPath.replace('/api/admin', '/admin');
                 }
             } else if (serviceName === 'item-service') {
                 // /api/items -> /items
@@ -262,6 +396,11 @@ class APIGateway {
 
             console.log(`📥 Resposta recebida: ${response.status}`);
 
+            // Repassar ETag para que o cliente possa enviar If-Match
+            if (response.headers.etag) {
+                res.set('ETag', response.headers.etag);
+            }
+
             // Retornar resposta
             res.status(response.status).json(response.data);
 
@@ -295,6 +434,8 @@ class APIGateway {
                     error: error.message
                 });
             }
+        } finally {
+            release();
         }
     }
 
@@ -364,39 +505,31 @@ class APIGateway {
                 completed: 0,
                 archived: 0
             };
+            let totalItems = 0;
+            let totalPurchased = 0;
+            let estimatedTotal = 0;
+            let spendingByCategory = [];
 
             try {
                 const listService = serviceRegistry.discover('list-service');
-                const listsRes = await axios.get(`${listService.url}/lists`, {
-                    headers: { Authorization: `Bearer ${token}` },
-                    timeout: 5000
-                });
+                const headers = { Authorization: `Bearer ${token}` };
+
+                // Totais agregados pelo list-service; a lista completa só alimenta a atividade recente
+                const [listsRes, statsRes] = await Promise.all([
+                    axios.get(`${listService.url}/lists`, { headers, timeout: 5000 }),
+                    axios.get(`${listService.url}/lists/stats`, { headers, timeout: 5000 })
+                ]);
                 userLists = listsRes.data;
 
-                listStats.total = userLists.length;
-                userLists.forEach(list => {
-                    if (list.status === 'active') listStats.active++;
-                    if (list.status === 'completed') listStats.completed++;
-                    if (list.status === 'archived') listStats.archived++;
-                });
+                listStats = statsRes.data.lists;
+                totalItems = statsRes.data.items.total;
+                totalPurchased = statsRes.data.items.purchased;
+                estimatedTotal = statsRes.data.estimatedTotal;
+                spendingByCategory = statsRes.data.byCategory;
             } catch (error) {
                 console.warn('Erro ao buscar listas:', error.message);
             }
 
-            let totalItems = 0;
-            let totalPurchased = 0;
-            let estimatedTotal = 0;
-
-            try {
-                userLists.forEach(list => {
-                    totalItems += list.summary?.totalItems || 0;
-                    totalPurchased += list.summary?.purchasedItems || 0;
-                    estimatedTotal += list.summary?.estimatedTotal || 0;
-                });
-            } catch (error) {
-                console.warn('Erro ao calcular estatísticas de itens:', error.message);
-            }
-
             let popularCategories = [];
             try {
                 const itemService = serviceRegistry.discover('item-service');
@@ -426,7 +559,11 @@ class APIGateway {
                     },
                     financial: {
                         estimatedTotal: Math.round(estimatedTotal * 100) / 100,
-                        averagePerItem: totalItems > 0 ? Math.round((estimatedTotal / totalItems) * 100) / 100 : 0
+                        averagePerItem: totalItems > 0 ? Math.round((estimatedTotal / totalItems) * 100) / 100 : 0,
+                        byCategory: spendingByCategory.map(entry => ({
+                            ...entry,
+                            estimatedTotal: Math.round(entry.estimatedTotal * 100) / 100
+                        }))
                     }
                 },
                 recentActivity: userLists.slice(0, 3).map(list => ({
@@ -496,88 +633,106 @@ class APIGateway {
 
     // Helper para chamar serviços
     async callService(serviceName, path, method = 'GET', authHeader = null, params = {}) {
-        const service = serviceRegistry.discover(serviceName);
+        return serviceRegistry.withInstance(serviceName, async (service) => {
+            const config = {
+                method,
+                url: `${service.url}${path}`,
+                timeout: 5000
+            };
 
-        const config = {
-            method,
-            url: `${service.url}${path}`,
-            timeout: 5000
-        };
+            if (authHeader) {
+                config.headers = { Authorization: authHeader };
+            }
 
-        if (authHeader) {
-            config.headers = { Authorization: authHeader };
-        }
+            if (method === 'GET' && Object.keys(params).length > 0) {
+                config.params = params;
+            }
 
-        if (method === 'GET' && Object.keys(params).length > 0) {
-            config.params = params;
-        }
+            const response = await axios(config);
+            return response.data;
+        });
+    }
 
-        const response = await axios(config);
-        return response.data;
+    // Health check (liveness e readiness) de cada instância registrada. Instância não pronta
+    // sai do roteamento, mas continua no registry até voltar a ficar pronta ou o lease vencer.
+    async checkInstances() {
+        // Workers não têm url nem /health
+        const instances = serviceRegistry.listInstances().filter(instance => instance.url);
+        for (const instance of instances) {
+            const { healthy, ready } = await serviceRegistry.checkInstance(instance);
+            if (!healthy) {
+                console.error(`❌ Instância com falha: ${instance.id}`);
+            } else if (!ready) {
+                console.warn(`⚠️ Instância não pronta: ${instance.id}`);
+            } else {
+                console.log(`✅ Instância saudável: ${instance.id}`);
+            }
+        }
     }
 
     // Health checks para serviços registrados
     startHealthChecks() {
-        setInterval(async () => {
+        setInterval(() => {
             console.log('🔍 Executando health checks automáticos...');
-            const services = serviceRegistry.listServices();
-            for (const [serviceName, service] of Object.entries(services)) {
-                try {
-                    await axios.get(`${service.url}/health`, { timeout: 5000 });
-                    serviceRegistry.updateHealth(serviceName, true);
-                    console.log(`✅ Serviço saudável: ${serviceName}`);
-                } catch (error) {
-                    serviceRegistry.updateHealth(serviceName, false);
-                    console.error(`❌ Serviço com falha: ${serviceName}`);
-                }
-            }
+            this.checkInstances();
         }, 30000);
 
         // Health check inicial
-        setTimeout(async () => {
-            const services = serviceRegistry.listServices();
-            for (const [serviceName, service] of Object.entries(services)) {
-                try {
-                    await axios.get(`${service.url}/health`, { timeout: 5000 });
-                    serviceRegistry.updateHealth(serviceName, true);
-                } catch (error) {
-                    serviceRegistry.updateHealth(serviceName, false);
-                }
-            }
-        }, 5000);
+        setTimeout(() => this.checkInstances(), 5000);
     }
 
-    start() {
-        this.app.listen(this.port, () => {
-            console.log('=====================================');
-            console.log(`API Gateway iniciado na porta ${this.port}`);
-            console.log(`URL: http://localhost:${this.port}`);
-            console.log(`Health: http://localhost:${this.port}/health`);
-            console.log(`Registry: http://localhost:${this.port}/registry`);
-            console.log(`Dashboard: http://localhost:${this.port}/api/dashboard`);
-            console.log(`Architecture: Microservices with NoSQL`);
-            console.log('=====================================');
-            console.log('Rotas disponíveis:');
-            console.log('   POST /api/auth/register');
-            console.log('   POST /api/auth/login');
-            console.log('   GET  /api/users');
-            console.log('   GET  /api/items');
-            console.log('   GET  /api/lists');
-            console.log('   GET  /api/search?q=termo');
-            console.log('   GET  /api/dashboard');
-            console.log('=====================================');
-        });
+    async start() {
+        // Os serviços se registram sozinhos: o gateway só roteia pelo catálogo do registry,
+        // mantido em cache por long-poll. Só aceita requisições depois da primeira sincronização
+        await serviceRegistry.startWatching();
+
+        const { server, port, url } = await listenAndRegister(this.app, this.config);
+        this.server = server;
+        this.port = port;
+        this.url = url;
+
+        console.log('=====================================');
+        console.log(`API Gateway iniciado na porta ${this.port}`);
+        console.log(`URL: ${this.url}`);
+        console.log(`Health: ${this.url}/health`);
+        console.log(`Registry: ${this.url}/registry`);
+        console.log(`Dashboard: ${this.url}/api/dashboard`);
+        console.log(`Architecture: Microservices with NoSQL`);
+        console.log('=====================================');
+        console.log('Rotas disponíveis:');
+        console.log('   POST /api/auth/register');
+        console.log('   POST /api/auth/login');
+        console.log('   GET  /api/users');
+        console.log('   GET  /api/items');
+        console.log('   GET  /api/lists');
+        console.log('   GET  /api/search?q=termo');
+        console.log('   GET  /api/dashboard');
+        console.log('=====================================');
+    }
+
+    // Sai do registry (e para de acompanhar o catálogo) e para de aceitar conexões
+    async stop() {
+        await serviceRegistry.cleanup();
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+        }
     }
 }
 
 // Start gateway
 if (require.main === module) {
     const gateway = new APIGateway();
-    gateway.start();
+    gateway.start().catch((error) => {
+        console.error('API Gateway não pôde iniciar:', error.message);
+        process.exit(1);
+    });
 
     // Graceful shutdown
-    process.on('SIGTERM', () => process.exit(0));
-    process.on('SIGINT', () => process.exit(0));
+    const shutdown = () => {
+        gateway.stop().finally(() => process.exit(0));
+    };
+    process.once('SIGTERM', shutdown);
+    process.once('SIGINT', shutdown);
 }
 
 module.exports = APIGateway;
\ No newline at end of file
@@ -0,0 +1,66 @@
+const backup = require('../shared/backup');
+
+const USAGE = `Uso:
+  node scripts/backup.js create [serviço...] [--label texto]
+  node scripts/backup.js list
+  node scripts/backup.js restore <id> [serviço...] [--no-safety-backup]
+
+Sem serviços, create inclui todos os serviços e restore todos os presentes no backup.`;
+
+function parseArgs(args) {
+  const options = { positional: [], label: null, safetyBackup: true };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--label') {
+      options.label = args[++i];
+    } else if (args[i] === '--no-safety-backup') {
+      options.safetyBackup = false;
+    } else {
+      options.positional.push(args[i]);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const options = parseArgs(args);
+
+  switch (command) {
+    case 'create': {
+      const manifest = await backup.createBackup({ services: options.positional, label: options.label });
+      console.log(JSON.stringify(manifest, null, 2));
+      break;
+    }
+    case 'list': {
+      const backups = await backup.listBackups();
+      if (backups.length === 0) {
+        console.log(`Nenhum backup em ${backup.BACKUP_DIR}`);
+      }
+      backups.forEach(({ id, label, services }) => {
+        const summary = Object.entries(services)
+          .map(([service, collections]) => `${service} (${Object.values(collections).reduce((a, b) => a + b, 0)} docs)`)
+          .join(', ');
+        console.log(`${id}${label ? ` [${label}]` : ''}: ${summary}`);
+      });
+      break;
+    }
+    case 'restore': {
+      const [id, ...services] = options.positional;
+      if (!id) {
+        console.error(USAGE);
+        process.exit(1);
+      }
+      const result = await backup.restoreBackup(id, { services, safetyBackup: options.safetyBackup });
+      console.log(JSON.stringify(result, null, 2));
+      break;
+    }
+    default:
+      console.error(USAGE);
+      process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('Erro:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,21 @@
+const { LoopbackServer, DEFAULT_LOCAL_BROKER_URL } = require('../shared/broker');
+
+// Broker local para rodar serviços e workers sem RabbitMQ (RABBITMQ_TRANSPORT=local).
+// As filas ficam em memória: reiniciar o broker perde as mensagens pendentes.
+async function main() {
+  const { hostname, port } = new URL(process.env.LOCAL_BROKER_URL || DEFAULT_LOCAL_BROKER_URL);
+  const server = new LoopbackServer();
+  const address = await server.listen(Number(port), hostname);
+  console.log(`Broker local ouvindo em ${address.address}:${address.port}`);
+
+  const shutdown = () => {
+    server.close().then(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch((error) => {
+  console.error('Erro:', error.message);
+  process.exit(1);
+});
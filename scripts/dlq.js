@@ -0,0 +1,71 @@
+const rabbit = require('../shared/rabbitmq');
+const deadLetters = require('../shared/deadLetters');
+
+const USAGE = `Uso:
+  node scripts/dlq.js queues
+  node scripts/dlq.js list <fila>
+  node scripts/dlq.js show <fila> <id>
+  node scripts/dlq.js replay <fila> (<id...> | --all)
+  node scripts/dlq.js discard <fila> (<id...> | --all)
+
+<fila> é a fila do consumidor (ex.: notification.checkout); as mensagens ficam em <fila>.dlq.`;
+
+function selection(args) {
+  if (args.includes('--all')) return 'all';
+  return args.length > 0 ? args : null;
+}
+
+function usage() {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+async function main() {
+  const [command, queue, ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case 'queues': {
+      const queues = await deadLetters.listDeadLetterQueues();
+      queues.forEach(({ queue: name, deadLetterQueue, messageCount }) => {
+        console.log(`${name}: ${messageCount} mensagem(ns) em ${deadLetterQueue}`);
+      });
+      break;
+    }
+    case 'list': {
+      if (!queue) usage();
+      const { messageCount, truncated, messages } = await deadLetters.listDeadLetters(queue);
+      if (messages.length === 0) {
+        console.log(`Nenhuma mensagem na DLQ de ${queue}`);
+      }
+      messages.forEach(({ id, routingKey, attempts, reason, deadLetteredAt }) => {
+        console.log(`${id}  ${routingKey}  ${attempts} tentativa(s)  ${deadLetteredAt || '-'}  ${reason || ''}`);
+      });
+      if (truncated) {
+        console.log(`... ${messages.length} de ${messageCount} mensagens listadas`);
+      }
+      break;
+    }
+    case 'show': {
+      if (!queue || !args[0]) usage();
+      console.log(JSON.stringify(await deadLetters.getDeadLetter(queue, args[0]), null, 2));
+      break;
+    }
+    case 'replay':
+    case 'discard': {
+      const ids = selection(args);
+      if (!queue || !ids) usage();
+      const action = command === 'replay' ? deadLetters.replayDeadLetters : deadLetters.discardDeadLetters;
+      console.log(JSON.stringify(await action(queue, ids), null, 2));
+      break;
+    }
+    default:
+      usage();
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('Erro:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => rabbit.close());
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const migrations = require('../shared/migrations');
+
+const SERVICES_DIR = path.join(__dirname, '..', 'services');
+
+const USAGE = `Uso:
+  node scripts/migrate.js status [serviço...]
+  node scripts/migrate.js up [serviço...] [--to id]
+  node scripts/migrate.js down <serviço> [--steps n | --to id]
+
+Sem serviços, status e up atuam em todos. --to aceita o id completo ou só o número da
+migração (001); down --to 0 reverte todas as migrações.`;
+
+function listServices() {
+  return fs.readdirSync(SERVICES_DIR)
+    .filter(name => fs.existsSync(path.join(SERVICES_DIR, name, 'database')))
+    .sort();
+}
+
+function paths(service) {
+  return {
+    dbPath: path.join(SERVICES_DIR, service, 'database'),
+    migrationsDir: path.join(SERVICES_DIR, service, 'migrations')
+  };
+}
+
+function parseArgs(args) {
+  const options = { services: [] };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--to') {
+      options.to = args[++i];
+    } else if (args[i] === '--steps') {
+      options.steps = parseInt(args[++i], 10);
+    } else {
+      options.services.push(args[i]);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const options = parseArgs(args);
+  const available = listServices();
+
+  const unknown = options.services.filter(service => !available.includes(service));
+  if (unknown.length > 0) {
+    throw new Error(`Serviço(s) desconhecido(s): ${unknown.join(', ')}`);
+  }
+  const services = options.services.length > 0 ? options.services : available;
+
+  switch (command) {
+    case 'status':
+      for (const service of services) {
+        const { dbPath, migrationsDir } = paths(service);
+        const current = await migrations.status(dbPath, migrationsDir);
+        console.log(`${service}:`);
+        current.applied.forEach(record => console.log(`  [x] ${record.id} (${record.appliedAt})`));
+        current.pending.forEach(migration => console.log(`  [ ] ${migration.id}`));
+        current.unknown.forEach(id => console.log(`  [?] ${id} (aplicada por uma versão mais nova)`));
+      }
+      break;
+    case 'up':
+      for (const service of services) {
+        const { dbPath, migrationsDir } = paths(service);
+        const applied = await migrations.migrate(dbPath, migrationsDir, { to: options.to });
+        console.log(`${service}: ${applied.length} migração(ões) aplicada(s)`);
+      }
+      break;
+    case 'down': {
+      if (options.services.length !== 1) {
+        console.error(USAGE);
+        process.exit(1);
+      }
+      const { dbPath, migrationsDir } = paths(services[0]);
+      const reverted = await migrations.rollback(dbPath, migrationsDir, {
+        steps: options.steps || 1,
+        to: options.to
+      });
+      console.log(`${services[0]}: ${reverted.length} migração(ões) revertida(s)`);
+      break;
+    }
+    default:
+      console.error(USAGE);
+      process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('Erro:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,21 @@
+const { RegistryServer, DEFAULT_REGISTRY_URL } = require('../shared/registry');
+
+// Service registry usado por serviços e gateway (shared/serviceRegistry). O estado fica em
+// memória: se o registry reiniciar, cada serviço se registra de novo no próximo heartbeat.
+async function main() {
+  const { hostname, port } = new URL(process.env.SERVICE_REGISTRY_URL || DEFAULT_REGISTRY_URL);
+  const server = new RegistryServer();
+  const address = await server.listen(Number(process.env.REGISTRY_PORT || port), process.env.REGISTRY_HOST || hostname);
+  console.log(`Service registry ouvindo em http://${address.address}:${address.port}`);
+
+  const shutdown = () => {
+    server.close().then(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch((error) => {
+  console.error('Erro:', error.message);
+  process.exit(1);
+});
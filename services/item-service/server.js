@@ -1,19 +1,53 @@
 const express = require('express');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
+const { loadServiceConfig, listenAndRegister } = require('../../shared/serviceConfig');
 const serviceRegistry = require('../../shared/serviceRegistry');
 const path = require('path');
 const JsonDatabase = require('../../shared/JsonDatabase');
+const migrations = require('../../shared/migrations');
+const { createHealthChecks, databaseCheck, brokerCheck } = require('../../shared/health');
 
 const dbDirectory = path.join(__dirname, 'database');
+// Host/porta/URL anunciada vêm do ambiente (ITEM_SERVICE_PORT, ...: ver shared/serviceConfig)
+const serviceConfig = loadServiceConfig('item-service', {
+  port: 3003,
+  version: require('./package.json').version,
+  endpoints: ['/items', '/items/:id', '/categories', '/search', '/health', '/health/live', '/health/ready'],
+  tags: ['catalog'],
+  metadata: { rpc: ['item.get', 'item.getMany'] }
+});
 
 fs.mkdirSync(dbDirectory, { recursive: true });
 
-const db = new JsonDatabase(dbDirectory, 'items');
-
 const app = express();
 app.use(express.json());
 const rabbit = require('../../shared/rabbitmq');
+const events = require('../../shared/events');
+
+const db = new JsonDatabase(dbDirectory, 'items');
+const outboxDb = new JsonDatabase(dbDirectory, rabbit.OUTBOX_COLLECTION);
+// Busca por texto: o nome pesa mais que marca e categoria
+const itemIndexesReady = db.createTextIndex({ name: 3, brand: 1, category: 1 });
+
+// Grava o item e o evento correspondente na outbox na mesma transação. Um item que não
+// passa no schema do evento desfaz a transação (EventValidationError).
+function saveItemWithEvent(req, type, write) {
+  return db.transaction(async (tx) => {
+    const item = await write(tx.collection('items'));
+    if (item) {
+      await events.enqueueEvent(tx, type, item, {
+        producer: 'item-service',
+        correlationId: req.get('x-correlation-id')
+      });
+    }
+    return item;
+  });
+}
+
+function sendInvalidItem(res, error) {
+  res.status(400).json({ message: 'Item inválido', errors: error.errors });
+}
 
 async function readItems() {
   try {
@@ -24,32 +58,38 @@ async function readItems() {
   }
 }
 
-async function writeItems(items) {
-  try {
-    await db.writeAll(items);
-  } catch (err) {
-    console.error('Erro ao escrever items no JsonDatabase:', err.message);
-  }
-}
-
 app.get('/items', async (req, res) => {
   const { category, name } = req.query;
-  let items = await readItems();
+
+  // Com name, os itens vêm da busca de texto (ordenados por relevância)
+  let items;
+  if (typeof name === 'string' && name.trim() !== '') {
+    try {
+      items = await db.search(name, ['name']);
+    } catch (err) {
+      return res.status(500).json({ error: 'Erro ao buscar itens' });
+    }
+  } else {
+    items = await readItems();
+  }
 
   if (category) {
     items = items.filter(item => item.category && item.category.toLowerCase() === category.toLowerCase());
   }
-  if (typeof name === 'string' && name.trim() !== '') {
-    items = items.filter(item => typeof item.name === 'string' && item.name.toLowerCase().includes(name.toLowerCase()));
-  }
 
   res.json(items);
 });
 
 app.get('/items/:id', async (req, res) => {
   const { id } = req.params;
-  const items = await readItems();
-  const item = items.find(item => item.id === id);
+
+  let item;
+  try {
+    item = await db.findById(id);
+  } catch (err) {
+    console.error('Erro ao buscar item:', err.message);
+    return res.status(500).json({ message: 'Erro interno do servidor' });
+  }
 
   if (!item) {
     return res.status(404).json({ message: 'Item not found' });
@@ -59,38 +99,55 @@ app.get('/items/:id', async (req, res) => {
 });
 
 app.post('/items', async (req, res) => {
-  const newItem = { ...req.body, id: uuidv4(), createdAt: new Date().toISOString() };
-  const items = await readItems();
-  items.push(newItem);
-  await writeItems(items);
-
-  // Publicar evento de criação de item (não bloquear resposta)
-  rabbit.publish('shopping_events', 'item.created', newItem).catch(err => console.error('Erro publish item.created:', err));
+  let newItem;
+  try {
+    newItem = await saveItemWithEvent(req, 'item.created', items => items.create({
+      ...req.body,
+      id: uuidv4(),
+      createdAt: new Date().toISOString()
+    }));
+  } catch (err) {
+    if (err instanceof events.EventValidationError) return sendInvalidItem(res, err);
+    console.error('Erro ao criar item:', err.message);
+    return res.status(500).json({ message: 'Erro interno do servidor' });
+  }
 
   res.status(201).json(newItem);
 });
 
+// Campos que o cliente pode alterar no PUT; id, datas e campos internos (version,
+// deletedAt) ficam com o servidor
+const UPDATABLE_ITEM_FIELDS = ['name', 'category', 'brand', 'unit', 'averagePrice', 'barcode', 'description', 'active'];
+
 app.put('/items/:id', async (req, res) => {
   const { id } = req.params;
-  const updatedData = req.body;
-  const items = await readItems();
-  const itemIndex = items.findIndex(item => item.id === id);
+  const body = req.body || {};
 
-  if (itemIndex === -1) {
-    return res.status(404).json({ message: 'Item not found' });
+  // O update do JsonDatabase interpreta operadores ($set, $unset...) e caminhos com ponto
+  const invalidKeys = Object.keys(body).filter(key => key.startsWith('$') || key.includes('.'));
+  if (invalidKeys.length > 0) {
+    return res.status(400).json({ message: 'Campos inválidos', fields: invalidKeys });
   }
 
-  items[itemIndex] = { 
-    ...items[itemIndex], 
-    ...updatedData, 
-    updatedAt: new Date().toISOString() 
-  };
-  await writeItems(items);
+  const updatedData = { updatedAt: new Date().toISOString() };
+  UPDATABLE_ITEM_FIELDS
+    .filter(field => body[field] !== undefined)
+    .forEach((field) => { updatedData[field] = body[field]; });
 
-  // Publicar evento de atualização de item
-  rabbit.publish('shopping_events', 'item.updated', items[itemIndex]).catch(err => console.error('Erro publish item.updated:', err));
+  let updatedItem;
+  try {
+    updatedItem = await saveItemWithEvent(req, 'item.updated', items => items.update(id, updatedData));
+  } catch (err) {
+    if (err instanceof events.EventValidationError) return sendInvalidItem(res, err);
+    console.error('Erro ao atualizar item:', err.message);
+    return res.status(500).json({ message: 'Erro interno do servidor' });
+  }
 
-  res.json(items[itemIndex]);
+  if (!updatedItem) {
+    return res.status(404).json({ message: 'Item not found' });
+  }
+
+  res.json(updatedItem);
 });
 
 app.get('/categories', async (req, res) => {
@@ -101,11 +158,13 @@ app.get('/categories', async (req, res) => {
 
 app.get('/search', async (req, res) => {
   const { q, limit, sort } = req.query;
-  let items = await readItems();
 
-  let results = items;
-  if (q) {
-    results = results.filter(item => item.name && item.name.toLowerCase().includes(q.toLowerCase()));
+  // Sem q, todos os itens; com q, ordenados por relevância (nome, marca e categoria)
+  let results;
+  try {
+    results = q ? await db.search(q) : await readItems();
+  } catch (err) {
+    return res.status(500).json({ error: 'Erro na busca' });
   }
 
   // Ordenação por data de criação 
@@ -125,13 +184,29 @@ app.get('/search', async (req, res) => {
   res.json({ results: limitedResults, total: results.length });
 });
 
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'OK',
-    service: 'item-service',
-    timestamp: Date.now()
-  });
+// Sem o banco o serviço não fica pronto; sem o broker fica 'degraded' (o HTTP continua
+// atendendo, mas o RPC do catálogo não)
+const health = createHealthChecks({
+  service: 'item-service',
+  version: serviceConfig.metadata.version,
+  checks: {
+    database: databaseCheck(db),
+    broker: { check: brokerCheck(rabbit), critical: false }
+  },
+  details: () => ({ messaging: rabbit.getStatus() })
 });
+health.mount(app);
+
+// Consultas ao catálogo por RPC (ver rabbit.rpc): item.get responde null para id inexistente
+// e item.getMany só os itens encontrados, para quem chama distinguir "não existe" de
+// "item-service fora do ar" (erro de RPC)
+function serveCatalogRpc() {
+  rabbit.serveRpc('item.get', ({ id }) => db.findById(id));
+  rabbit.serveRpc('item.getMany', ({ ids }) => {
+    if (!Array.isArray(ids)) throw new Error('ids deve ser uma lista');
+    return db.find({ id: { $in: ids } });
+  });
+}
 
 async function seedInitialItems() {
   try {
@@ -164,7 +239,9 @@ async function seedInitialItems() {
       { id: uuidv4(), name: 'Bolo Caseiro 1kg', category: 'Padaria', brand: 'DoceLar', unit: 'kg', averagePrice: 15.0, barcode: '789000500003', description: '1kg', active: true, createdAt: now },
     ];
 
-    await writeItems(initialItems);
+    for (const item of initialItems) {
+      await db.create(item);
+    }
     console.log('Dados iniciais inseridos com sucesso!');
   } catch (error) {
     console.error('Erro ao inserir dados iniciais:', error);
@@ -172,15 +249,40 @@ async function seedInitialItems() {
 }
 
 // Start the server
-const PORT = 3003; 
-app.listen(PORT, async () => {
-  console.log(`Item service running on port ${PORT}`);
+async function start() {
+  try {
+    await Promise.all([db.ready, outboxDb.ready, itemIndexesReady]);
+    await migrations.migrate(dbDirectory, path.join(__dirname, 'migrations'));
+  } catch (err) {
+    console.error('Banco de dados do item-service não pôde ser inicializado:', err.message);
+    process.exit(1);
+  }
 
   await seedInitialItems();
-  serviceRegistry.register('item-service', {
-    url: `http://localhost:${PORT}`
-  });
+  const { server, port, url } = await listenAndRegister(app, serviceConfig);
+  console.log(`Item service running on port ${port} (${url})`);
 
-  // Tentar conectar ao RabbitMQ (não bloquear o servidor)
+  // Tentar conectar ao RabbitMQ (não bloquear o servidor); eventos pendentes ficam na outbox
   rabbit.connect().catch(err => console.warn('RabbitMQ init falhou (item-service):', err.message));
-});
\ No newline at end of file
+  const relay = rabbit.startOutboxRelay(outboxDb);
+  serveCatalogRpc();
+
+  // Graceful shutdown: sai do registry antes de parar o HTTP, o relay e a conexão com o broker
+  const shutdown = async () => {
+    try {
+      await serviceRegistry.cleanup();
+      relay.stop();
+      await new Promise(resolve => server.close(resolve));
+      await rabbit.close();
+    } finally {
+      process.exit(0);
+    }
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
+
+start().catch(err => {
+  console.error('Item service não pôde iniciar:', err.message);
+  process.exit(1);
+});
@@ -1,21 +1,39 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
+const { loadServiceConfig, listenAndRegister } = require('../../shared/serviceConfig');
 const serviceRegistry = require('../../shared/serviceRegistry');
 const path = require('path');
 const JsonDatabase = require('../../shared/JsonDatabase');
+const { VersionConflictError } = JsonDatabase;
+const { formatETag, parseIfMatch } = require('../../shared/etag');
+const migrations = require('../../shared/migrations');
+const { createHealthChecks, databaseCheck, brokerCheck } = require('../../shared/health');
 const fs = require('fs');
-const axios = require('axios');
 const jwt = require('jsonwebtoken'); 
 
 const rabbit = require('../../shared/rabbitmq');
-const EXCHANGE = 'shopping_events';
+const events = require('../../shared/events');
 
-const PORT = 3002;
 const dbDirectory = path.join(__dirname, 'database');
+// Host/porta/URL anunciada vêm do ambiente (LIST_SERVICE_PORT, ...: ver shared/serviceConfig)
+const serviceConfig = loadServiceConfig('list-service', {
+  port: 3002,
+  version: require('./package.json').version,
+  endpoints: ['/lists', '/lists/:id', '/lists/:id/items', '/lists/:id/checkout', '/lists/stats', '/lists/trash', '/health', '/health/live', '/health/ready'],
+  tags: ['lists']
+});
+// Listas deletadas ficam na lixeira por este tempo antes de serem removidas de vez
+const TRASH_RETENTION_SECONDS = parseInt(process.env.LIST_TRASH_RETENTION_SECONDS, 10) || 30 * 24 * 60 * 60;
 
 fs.mkdirSync(dbDirectory, { recursive: true });
 
 const listDb = new JsonDatabase(dbDirectory, 'lists');
+const outboxDb = new JsonDatabase(dbDirectory, rabbit.OUTBOX_COLLECTION);
+const listIndexesReady = Promise.all([
+  listDb.createIndex('userId'),
+  listDb.enableSoftDelete(),
+  listDb.setTTL('deletedAt', TRASH_RETENTION_SECONDS)
+]);
 
 const app = express();
 app.use(express.json());
@@ -103,15 +121,64 @@ async function checkListOwnership(req, res, next) {
   }
 }
 
-async function getItemInfo(itemId) {
-  try {
-    const itemService = serviceRegistry.discover('item-service');
-    const response = await axios.get(`${itemService.url}/items/${itemId}`);
-    return response.data;
-  } catch (error) {
-    console.error('Erro ao buscar informações do item:', error.message);
-    return null;
+// Lê o cabeçalho If-Match (ETag = versão da lista) para updates condicionais
+function parseListPrecondition(req, res, next) {
+  const ifVersion = parseIfMatch(req.headers['if-match']);
+
+  if (Number.isNaN(ifVersion)) {
+    return res.status(412).json({ error: 'If-Match inválido para esta lista' });
+  }
+
+  req.ifVersion = ifVersion;
+  next();
+}
+
+function sendList(res, status, list) {
+  res.set('ETag', formatETag(list));
+  res.status(status).json(list);
+}
+
+function sendVersionConflict(req, res, error) {
+  res.set('ETag', `"${error.currentVersion}"`);
+
+  // Sem If-Match o conflito foi com outra requisição concorrente ao próprio serviço
+  if (req.ifVersion === null) {
+    return res.status(409).json({ error: 'A lista foi alterada por outra requisição. Tente novamente.' });
   }
+  res.status(412).json({
+    error: 'A lista foi alterada desde a versão informada em If-Match',
+    currentVersion: error.currentVersion
+  });
+}
+
+// Catálogo via RPC no item-service: null/ausente = item não existe no catálogo;
+// rabbit.RpcError = item-service ou broker indisponível (respondido com 503)
+function getItemInfo(itemId) {
+  return rabbit.rpc('item.get', { id: itemId });
+}
+
+function getItemsInfo(itemIds) {
+  return rabbit.rpc('item.getMany', { ids: itemIds });
+}
+
+function sendCatalogUnavailable(res, error) {
+  console.error('Erro ao consultar o catálogo de itens:', error.message);
+  res.status(503).json({ error: 'Catálogo de itens indisponível no momento. Tente novamente.' });
+}
+
+function buildListItem(itemInfo, { quantity = 1, unit = 'un', notes = '' }) {
+  return {
+    id: uuidv4(),
+    itemId: itemInfo.id,
+    itemName: itemInfo.name,
+    category: itemInfo.category || null,
+    quantity,
+    unit: unit || itemInfo.unit || 'un',
+    estimatedPrice: itemInfo.averagePrice || 0,
+    purchased: false,
+    notes,
+    addedAt: new Date().toISOString()
+  };
 }
 
 function calculateListSummary(items) {
@@ -124,19 +191,22 @@ function calculateListSummary(items) {
   return { totalItems, purchasedItems, estimatedTotal };
 }
 
-async function updateListSummary(listId) {
-  try {
-    const list = await listDb.findById(listId);
-    if (!list) return;
-
-    const summary = calculateListSummary(list.items);
-    await listDb.update(listId, { 
-      summary,
-      updatedAt: new Date().toISOString() 
-    });
-  } catch (error) {
-    console.error('Erro ao atualizar resumo da lista:', error);
-  }
+// Altera os itens e recalcula o resumo na mesma transação: ou os dois são gravados, ou nenhum
+async function updateListItems(listId, changes, options = {}) {
+  return listDb.transaction(async (tx) => {
+    const lists = tx.collection('lists');
+
+    const current = await lists.findById(listId);
+    if (!current) return null;
+
+    // Itens e resumo vão na mesma escrita: uma alteração, uma versão nova
+    const { items, updatedAt } = listDb.applyUpdate(current, changes);
+    return lists.update(listId, {
+      items,
+      summary: calculateListSummary(items),
+      updatedAt
+    }, options);
+  });
 }
 
 app.post('/lists', validateUserId, async (req, res) => {
@@ -182,29 +252,45 @@ app.post('/lists/:id/checkout', validateUserId, checkListOwnership, async (req,
       return res.status(400).json({ error: 'Lista já está finalizada. Não é possível efetuar checkout novamente.' });
     }
     
-    const updated = await listDb.update(id, { 
-      status: 'completed', 
-      updatedAt: new Date().toISOString() 
+    // Status e evento na mesma transação: o evento só existe se o checkout foi gravado,
+    // e é publicado pelo relay da outbox mesmo que o broker esteja fora do ar agora
+    const updated = await listDb.transaction(async (tx) => {
+      const lists = tx.collection('lists');
+
+      const current = await lists.findById(id);
+      if (!current || current.status === 'completed') return null;
+
+      const completed = await lists.update(id, { 
+        status: 'completed', 
+        updatedAt: new Date().toISOString() 
+      });
+
+      await events.enqueueEvent(tx, 'list.checkout.completed', {
+        listId: completed.id,
+        userId: completed.userId,
+        userEmail: req.userEmail || null,
+        items: completed.items,
+        summary: completed.summary
+      }, {
+        producer: 'list-service',
+        correlationId: req.get('x-correlation-id')
+      });
+
+      return completed;
     });
 
+    if (!updated) {
+      return res.status(400).json({ error: 'Lista já está finalizada. Não é possível efetuar checkout novamente.' });
+    }
+
     res.status(202).json({ 
       message: 'Checkout recebido. Processando.',
       listId: id 
     });
-
-    const event = {
-      id: updated.id,
-      userId: updated.userId,
-      userEmail: req.userEmail || null,
-      items: updated.items,
-      summary: updated.summary,
-      timestamp: new Date().toISOString()
-    };
-
-    rabbit.publish(EXCHANGE, 'list.checkout.completed', event)
-      .catch(err => console.error('Erro ao publicar evento:', err));
-
   } catch (error) {
+    if (error instanceof events.EventValidationError) {
+      return res.status(422).json({ error: 'A lista não pode gerar um evento de checkout válido', details: error.errors });
+    }
     console.error('Erro ao processar checkout:', error);
     res.status(500).json({ error: 'Erro interno ao processar checkout' });
   }
@@ -212,7 +298,7 @@ app.post('/lists/:id/checkout', validateUserId, checkListOwnership, async (req,
 
 app.get('/lists', validateUserId, async (req, res) => {
   try {
-    const { status } = req.query;
+    const { status, itemId, purchased } = req.query;
     const userId = req.userId;
 
     const filter = { userId };
@@ -224,6 +310,19 @@ app.get('/lists', validateUserId, async (req, res) => {
       filter.status = status;
     }
 
+    // Filtrar pelos itens da lista, ex.: ?itemId=X&purchased=false -> listas com o item X ainda não comprado
+    if (itemId || purchased !== undefined) {
+      const itemFilter = {};
+      if (itemId) itemFilter.itemId = itemId;
+      if (purchased !== undefined) {
+        if (!['true', 'false'].includes(purchased)) {
+          return res.status(400).json({ error: 'purchased deve ser true ou false' });
+        }
+        itemFilter.purchased = purchased === 'true';
+      }
+      filter.items = { $elemMatch: itemFilter };
+    }
+
     const userLists = await listDb.find(filter);
     res.status(200).json(userLists);
   } catch (error) {
@@ -232,11 +331,109 @@ app.get('/lists', validateUserId, async (req, res) => {
   }
 });
 
+// GET /lists/stats - Estatísticas das listas do usuário (calculadas por agregação no banco)
+app.get('/lists/stats', validateUserId, async (req, res) => {
+  try {
+    const match = { $match: { userId: req.userId } };
+    const itemValue = { $multiply: ['$items.estimatedPrice', '$items.quantity'] };
+
+    const [byStatus, byPurchased, byCategory] = await Promise.all([
+      listDb.aggregate([
+        match,
+        { $group: { _id: '$status', count: { $count: {} } } }
+      ]),
+      listDb.aggregate([
+        match,
+        { $unwind: '$items' },
+        { $group: { _id: '$items.purchased', items: { $count: {} }, estimatedTotal: { $sum: itemValue } } }
+      ]),
+      listDb.aggregate([
+        match,
+        { $unwind: '$items' },
+        { $group: { _id: '$items.category', estimatedTotal: { $sum: itemValue }, items: { $count: {} } } },
+        { $sort: { estimatedTotal: -1 } },
+        { $project: { _id: 0, category: '$_id', estimatedTotal: 1, items: 1 } }
+      ])
+    ]);
+
+    const lists = { total: 0, active: 0, completed: 0, archived: 0 };
+    byStatus.forEach(({ _id, count }) => {
+      lists.total += count;
+      if (_id in lists) lists[_id] = count;
+    });
+
+    const items = { total: 0, purchased: 0 };
+    let estimatedTotal = 0;
+    byPurchased.forEach((group) => {
+      items.total += group.items;
+      if (group._id === true) items.purchased = group.items;
+      estimatedTotal += group.estimatedTotal;
+    });
+
+    res.status(200).json({
+      lists,
+      items,
+      estimatedTotal,
+      byCategory
+    });
+  } catch (error) {
+    console.error('Erro ao calcular estatísticas das listas:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// GET /lists/trash - Listas do usuário na lixeira, com a data em que serão removidas de vez
+app.get('/lists/trash', validateUserId, async (req, res) => {
+  try {
+    const trashed = await listDb.find(
+      { userId: req.userId, deletedAt: { $exists: true } },
+      { includeDeleted: true, sort: { deletedAt: -1 } }
+    );
+
+    res.status(200).json(trashed.map(list => ({
+      ...list,
+      expiresAt: new Date(Date.parse(list.deletedAt) + TRASH_RETENTION_SECONDS * 1000).toISOString()
+    })));
+  } catch (error) {
+    console.error('Erro ao buscar lixeira:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// POST /lists/:id/restore - Tirar lista da lixeira
+app.post('/lists/:id/restore', validateUserId, parseListPrecondition, async (req, res) => {
+  try {
+    const list = await listDb.findById(req.params.id, { includeDeleted: true });
+
+    if (!list) {
+      return res.status(404).json({ error: 'Lista não encontrada' });
+    }
+    if (list.userId !== req.userId) {
+      return res.status(403).json({ error: 'Acesso negado. Esta lista pertence a outro usuário.' });
+    }
+    if (!list.deletedAt) {
+      return res.status(409).json({ error: 'A lista não está na lixeira' });
+    }
+
+    const restored = await listDb.restore(list.id, { ifVersion: req.ifVersion });
+    if (!restored) {
+      return res.status(409).json({ error: 'A lista não está na lixeira' });
+    }
+    sendList(res, 200, restored);
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(req, res, error);
+    }
+    console.error('Erro ao restaurar lista:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
 app.get('/lists/:id', validateUserId, checkListOwnership, async (req, res) => {
-  res.status(200).json(req.list);
+  sendList(res, 200, req.list);
 });
 
-app.put('/lists/:id', validateUserId, checkListOwnership, async (req, res) => {
+app.put('/lists/:id', validateUserId, checkListOwnership, parseListPrecondition, async (req, res) => {
   try {
     const { name, description, status } = req.body;
     const updates = { updatedAt: new Date().toISOString() };
@@ -252,31 +449,46 @@ app.put('/lists/:id', validateUserId, checkListOwnership, async (req, res) => {
       updates.status = status;
     }
 
-    const updatedList = await listDb.update(req.params.id, updates);
-    res.status(200).json(updatedList);
+    const updatedList = await listDb.update(req.params.id, updates, { ifVersion: req.ifVersion });
+    // A lista pode ter sido deletada entre a verificação de dono e a escrita
+    if (!updatedList) {
+      return res.status(404).json({ error: 'Lista não encontrada' });
+    }
+    sendList(res, 200, updatedList);
   } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(req, res, error);
+    }
     console.error('Erro ao atualizar lista:', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
 
-// DELETE /lists/:id - Deletar lista
-app.delete('/lists/:id', validateUserId, checkListOwnership, async (req, res) => {
+// DELETE /lists/:id - Mover lista para a lixeira (restaurável até expirar)
+app.delete('/lists/:id', validateUserId, checkListOwnership, parseListPrecondition, async (req, res) => {
   try {
-    await listDb.delete(req.params.id);
-    res.status(200).json({ message: 'Lista deletada com sucesso' });
+    const deleted = await listDb.delete(req.params.id, { ifVersion: req.ifVersion });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Lista não encontrada' });
+    }
+    res.status(200).json({ message: 'Lista movida para a lixeira' });
   } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(req, res, error);
+    }
     console.error('Erro ao deletar lista:', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
 
 // POST /lists/:id/items - Adicionar item à lista
-app.post('/lists/:id/items', validateUserId, checkListOwnership, async (req, res) => {
+// Body: { itemId, quantity, unit, notes } ou, para vários de uma vez, { items: [{ itemId, ... }] }
+app.post('/lists/:id/items', validateUserId, checkListOwnership, parseListPrecondition, async (req, res) => {
   try {
-    const { itemId, quantity = 1, unit = 'un', notes = '' } = req.body;
+    const bulk = Array.isArray(req.body.items);
+    const requested = bulk ? req.body.items : [req.body];
 
-    if (!itemId) {
+    if (requested.length === 0 || requested.some(entry => !entry || !entry.itemId)) {
       return res.status(400).json({ error: 'itemId é obrigatório' });
     }
 
@@ -284,44 +496,46 @@ app.post('/lists/:id/items', validateUserId, checkListOwnership, async (req, res
     if (req.list && req.list.status === 'completed') {
       return res.status(400).json({ error: 'Não é possível adicionar itens a uma lista finalizada.' });
     }
-    // Buscar informações do item no Item Service
-    const itemInfo = await getItemInfo(itemId);
-    
-    if (!itemInfo) {
-      return res.status(404).json({ error: 'Item não encontrado no catálogo' });
-    }
-
-    const newItem = {
-      id: uuidv4(), 
-      itemId: itemInfo.id, 
-      itemName: itemInfo.name, 
-      quantity,
-      unit: unit || itemInfo.unit || 'un',
-      estimatedPrice: itemInfo.averagePrice || 0,
-      purchased: false,
-      notes,
-      addedAt: new Date().toISOString()
-    };
 
-    const list = req.list;
-    list.items.push(newItem);
-    
-    const updatedList = await listDb.update(req.params.id, {
-      items: list.items,
-      updatedAt: new Date().toISOString()
-    });
+    // Buscar informações dos itens no Item Service
+    let catalog;
+    try {
+      catalog = bulk
+        ? await getItemsInfo([...new Set(requested.map(entry => entry.itemId))])
+        : [await getItemInfo(requested[0].itemId)].filter(Boolean);
+    } catch (error) {
+      if (error instanceof rabbit.RpcError) return sendCatalogUnavailable(res, error);
+      throw error;
+    }
 
-    await updateListSummary(req.params.id);
+    const catalogById = new Map(catalog.map(item => [item.id, item]));
+    const missing = requested.map(entry => entry.itemId).filter(itemId => !catalogById.has(itemId));
+    if (missing.length > 0) {
+      return res.status(404).json({ error: 'Item não encontrado no catálogo', missing });
+    }
+
+    const newItems = requested.map(entry => buildListItem(catalogById.get(entry.itemId), entry));
 
-    res.status(201).json(updatedList);
+    // $push aplica sobre o documento atual, sem sobrescrever itens adicionados em paralelo
+    const updatedList = await updateListItems(req.params.id, {
+      $push: { items: { $each: newItems } }
+    }, { ifVersion: req.ifVersion });
+    if (!updatedList) {
+      return res.status(404).json({ error: 'Lista não encontrada' });
+    }
+
+    sendList(res, 201, updatedList);
   } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(req, res, error);
+    }
     console.error('Erro ao adicionar item à lista:', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
 
 // PUT /lists/:id/items/:itemId - Atualizar item na lista
-app.put('/lists/:id/items/:itemId', validateUserId, checkListOwnership, async (req, res) => {
+app.put('/lists/:id/items/:itemId', validateUserId, checkListOwnership, parseListPrecondition, async (req, res) => {
   try {
     const { itemId } = req.params;
     const { quantity, unit, estimatedPrice, purchased, notes } = req.body;
@@ -339,42 +553,49 @@ app.put('/lists/:id/items/:itemId', validateUserId, checkListOwnership, async (r
     if (purchased !== undefined) list.items[itemIndex].purchased = purchased;
     if (notes !== undefined) list.items[itemIndex].notes = notes;
 
-    const updatedList = await listDb.update(req.params.id, {
+    // O array inteiro é regravado a partir da cópia lida; sem If-Match, a versão lida
+    // garante que nenhuma alteração concorrente seja sobrescrita
+    const ifVersion = req.ifVersion !== null ? req.ifVersion : listDb.getVersion(list);
+    const updatedList = await updateListItems(req.params.id, {
       items: list.items,
       updatedAt: new Date().toISOString()
-    });
-
-    await updateListSummary(req.params.id);
+    }, { ifVersion });
+    if (!updatedList) {
+      return res.status(404).json({ error: 'Lista não encontrada' });
+    }
 
-    res.status(200).json(updatedList);
+    sendList(res, 200, updatedList);
   } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(req, res, error);
+    }
     console.error('Erro ao atualizar item na lista:', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
 
 // DELETE /lists/:id/items/:itemId - Remover item da lista
-app.delete('/lists/:id/items/:itemId', validateUserId, checkListOwnership, async (req, res) => {
+app.delete('/lists/:id/items/:itemId', validateUserId, checkListOwnership, parseListPrecondition, async (req, res) => {
   try {
     const { itemId } = req.params;
 
     const list = req.list;
-    const filteredItems = list.items.filter(item => item.id !== itemId);
-
-    if (filteredItems.length === list.items.length) {
+    if (!list.items.some(item => item.id === itemId)) {
       return res.status(404).json({ error: 'Item não encontrado na lista' });
     }
 
-    const updatedList = await listDb.update(req.params.id, {
-      items: filteredItems,
-      updatedAt: new Date().toISOString()
-    });
-
-    // Atualizar resumo da lista
-    await updateListSummary(req.params.id);
+    const updatedList = await updateListItems(req.params.id, {
+      $pull: { items: { id: itemId } }
+    }, { ifVersion: req.ifVersion });
+    if (!updatedList) {
+      return res.status(404).json({ error: 'Lista não encontrada' });
+    }
 
-    res.status(200).json(updatedList);
+    sendList(res, 200, updatedList);
   } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(req, res, error);
+    }
     console.error('Erro ao remover item da lista:', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
@@ -392,23 +613,60 @@ app.get('/lists/:id/summary', validateUserId, checkListOwnership, async (req, re
 });
 
 
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'OK',
-    service: 'list-service',
-    timestamp: Date.now()
-  });
+// Sem o banco o serviço não fica pronto. Broker e catálogo fora deixam o serviço 'degraded':
+// os eventos esperam na outbox e só a inclusão de itens depende do catálogo.
+const health = createHealthChecks({
+  service: 'list-service',
+  version: serviceConfig.metadata.version,
+  checks: {
+    database: databaseCheck(listDb),
+    broker: { check: brokerCheck(rabbit), critical: false },
+    'item-service': {
+      check: () => rabbit.rpc('item.get', { id: '' }, { timeout: 2000 }).then(() => ({ via: 'rpc' })),
+      critical: false
+    }
+  },
+  details: () => ({ messaging: rabbit.getStatus() })
 });
+health.mount(app);
 
-// publishCheckoutEvent é feito via shared/rabbitmq.publish
+// Eventos são gravados na outbox e publicados pelo relay (shared/rabbitmq.startOutboxRelay)
 
-// Inicializar o servidor
-app.listen(PORT, () => {
-  console.log(`List service running on port ${PORT}`);
+// Inicializar o servidor (somente após o banco ser validado e migrado)
+async function start() {
+  try {
+    await Promise.all([listDb.ready, outboxDb.ready, listIndexesReady]);
+    await migrations.migrate(dbDirectory, path.join(__dirname, 'migrations'));
+  } catch (err) {
+    console.error('Banco de dados do list-service não pôde ser inicializado:', err.message);
+    process.exit(1);
+  }
 
-  serviceRegistry.register('list-service', {
-    url: `http://localhost:${PORT}`
-  });
+  const { server, port, url } = await listenAndRegister(app, serviceConfig);
+  console.log(`List service running on port ${port} (${url})`);
+
+  const relay = rabbit.startOutboxRelay(outboxDb);
+  const stopTTLMonitor = listDb.startTTLMonitor();
+
+  // Graceful shutdown: a instância sai do registry primeiro, para o gateway parar de rotear para ela
+  const shutdown = async () => {
+    try {
+      await serviceRegistry.cleanup();
+      relay.stop();
+      stopTTLMonitor();
+      await new Promise(resolve => server.close(resolve));
+      await rabbit.close();
+    } finally {
+      process.exit(0);
+    }
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
+
+start().catch(err => {
+  console.error('List service não pôde iniciar:', err.message);
+  process.exit(1);
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,67 @@
+// Usuários criados por register() tinham createdAt/updatedAt numéricos e nenhum role/status,
+// enquanto o admin semeado tinha datas ISO e nenhum preferences. Normaliza todos para:
+// datas ISO, role ('user' por padrão), status ('active' por padrão) e preferences ({}).
+// O estado salvo lista o que foi alterado em cada usuário, para que down desfaça só isso.
+// update() preserva createdAt e carimba updatedAt, por isso os documentos são regravados
+// inteiros com replaceAll (a versão é incrementada para invalidar ETags antigas).
+const DEFAULTS = {
+  role: 'user',
+  status: 'active',
+  preferences: {}
+};
+
+function bumpVersion(user) {
+  return (Number.isInteger(user.version) ? user.version : 0) + 1;
+}
+
+module.exports = {
+  async up(tx) {
+    const users = tx.collection('users');
+    const changed = {};
+
+    const migrated = (await users.find({}, { includeDeleted: true })).map(user => {
+      const record = { numeric: {}, added: [] };
+      const result = { ...user };
+
+      ['createdAt', 'updatedAt'].forEach(field => {
+        if (typeof user[field] === 'number') {
+          result[field] = new Date(user[field]).toISOString();
+          record.numeric[field] = user[field];
+        }
+      });
+
+      Object.entries(DEFAULTS).forEach(([field, value]) => {
+        if (user[field] === undefined) {
+          result[field] = value;
+          record.added.push(field);
+        }
+      });
+
+      if (Object.keys(record.numeric).length === 0 && record.added.length === 0) {
+        return user;
+      }
+
+      changed[user.id] = record;
+      return { ...result, version: bumpVersion(user) };
+    });
+
+    await users.replaceAll(migrated);
+    return { changed };
+  },
+
+  async down(tx, state) {
+    const users = tx.collection('users');
+    const changed = (state && state.changed) || {};
+
+    const reverted = (await users.find({}, { includeDeleted: true })).map(user => {
+      const record = changed[user.id];
+      if (!record) return user;
+
+      const result = { ...user, ...record.numeric, version: bumpVersion(user) };
+      record.added.forEach(field => { delete result[field]; });
+      return result;
+    });
+
+    await users.replaceAll(reverted);
+  }
+};
@@ -9,14 +9,26 @@ const path = require('path');
 
 // Importar banco NoSQL e service registry
 const JsonDatabase = require('../../shared/JsonDatabase');
+const { UniqueConstraintError, VersionConflictError } = JsonDatabase;
+const { formatETag, parseIfMatch } = require('../../shared/etag');
+const { loadServiceConfig, listenAndRegister } = require('../../shared/serviceConfig');
 const serviceRegistry = require('../../shared/serviceRegistry');
+const backup = require('../../shared/backup');
+const migrations = require('../../shared/migrations');
+const { createHealthChecks, databaseCheck } = require('../../shared/health');
 
 class UserService {
     constructor() {
         this.app = express();
-        this.port = process.env.PORT || 3001;
         this.serviceName = 'user-service';
-        this.serviceUrl = `http://localhost:${this.port}`;
+        // Host/porta/URL anunciada vêm do ambiente (USER_SERVICE_PORT, ...: ver shared/serviceConfig)
+        this.config = loadServiceConfig(this.serviceName, {
+            port: 3001,
+            version: require('./package.json').version,
+            endpoints: ['/health', '/health/live', '/health/ready', '/auth/register', '/auth/login', '/auth/validate', '/users', '/search', '/admin/backups'],
+            tags: ['auth', 'users'],
+            metadata: { database: 'JSON-NoSQL' }
+        });
 
         this.setupDatabase();
         this.setupMiddleware();
@@ -27,7 +39,13 @@ class UserService {
 
     setupDatabase() {
         const dbPath = path.join(__dirname, 'database');
+        this.dbPath = dbPath;
         this.usersDb = new JsonDatabase(dbPath, 'users');
+        this.indexesReady = Promise.all([
+            this.usersDb.createIndex('email', { unique: true }),
+            this.usersDb.createIndex('username', { unique: true }),
+            this.usersDb.createTextIndex({ firstName: 2, lastName: 2, username: 2, email: 1 })
+        ]);
         console.log('User Service: Banco NoSQL inicializado');
     }
 
@@ -75,29 +93,21 @@ class UserService {
     }
 
     setupRoutes() {
-        // Health check
-        this.app.get('/health', async (req, res) => {
-            try {
-                const userCount = await this.usersDb.count();
-                res.json({
-                    service: this.serviceName,
-                    status: 'healthy',
-                    timestamp: new Date().toISOString(),
-                    uptime: process.uptime(),
-                    version: '1.0.0',
-                    database: {
-                        type: 'JSON-NoSQL',
-                        userCount: userCount
-                    }
-                });
-            } catch (error) {
-                res.status(503).json({
-                    service: this.serviceName,
-                    status: 'unhealthy',
-                    error: error.message
-                });
-            }
+        // Health checks: /health/live, /health/ready (leitura e gravação no banco) e /health
+        this.health = createHealthChecks({
+            service: this.serviceName,
+            version: this.config.metadata.version,
+            checks: {
+                database: databaseCheck(this.usersDb)
+            },
+            details: async () => ({
+                database: {
+                    type: 'JSON-NoSQL',
+                    userCount: await this.usersDb.count()
+                }
+            })
         });
+        this.health.mount(this.app);
 
         // Service info
         this.app.get('/', (req, res) => {
@@ -113,7 +123,10 @@ class UserService {
                     'GET /users',
                     'GET /users/:id',
                     'PUT /users/:id',
-                    'GET /search'
+                    'GET /search',
+                    'GET /admin/backups',
+                    'POST /admin/backups',
+                    'POST /admin/backups/:id/restore'
                 ]
             });
         });
@@ -130,6 +143,12 @@ class UserService {
 
         // Search route
         this.app.get('/search', this.authMiddleware.bind(this), this.searchUsers.bind(this));
+
+        // Backups dos bancos dos serviços (somente administradores)
+        const adminOnly = [this.authMiddleware.bind(this), this.requireAdmin.bind(this)];
+        this.app.get('/admin/backups', adminOnly, this.listBackups.bind(this));
+        this.app.post('/admin/backups', adminOnly, this.createBackup.bind(this));
+        this.app.post('/admin/backups/:id/restore', adminOnly, this.restoreBackup.bind(this));
     }
 
     setupErrorHandling() {
@@ -186,12 +205,6 @@ class UserService {
                 return res.status(400).json({ message: 'Email, username, and password are required.' });
             }
 
-            // Check if email is unique
-            const isUnique = await this.isEmailUnique(email);
-            if (!isUnique) {
-                return res.status(400).json({ message: 'Email is already in use.' });
-            }
-
             // Hash the password
             const hashedPassword = await bcrypt.hash(password, 12);
 
@@ -204,18 +217,23 @@ class UserService {
                 firstName,
                 lastName,
                 preferences: preferences || {},
-                createdAt: Date.now(),
-                updatedAt: Date.now()
+                role: 'user',
+                status: 'active',
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
             };
 
             // Validate schema
             this.validateUserSchema(newUser);
 
-            // Save user to database
+            // Save user to database (email e username são índices únicos)
             await this.usersDb.create(newUser);
 
             res.status(201).json({ message: 'User registered successfully.', userId: newUser.id });
         } catch (error) {
+            if (error instanceof UniqueConstraintError) {
+                return res.status(400).json({ message: `${error.field === 'email' ? 'Email' : 'Username'} is already in use.` });
+            }
             console.error('Error in register:', error);
             res.status(500).json({ message: 'Internal server error.' });
         }
@@ -235,8 +253,9 @@ class UserService {
             }
 
             // Find user by email or username
-            const users = await this.usersDb.find();
-            const user = users.find(u => (email && u.email === email) || (username && u.username === username));
+            const user = (email && await this.usersDb.findOne({ email })) ||
+                (username && await this.usersDb.findOne({ username })) ||
+                null;
 
             if (!user) {
                 return res.status(401).json({
@@ -375,6 +394,7 @@ class UserService {
 
             const { password, ...userWithoutPassword } = user;
 
+            res.set('ETag', formatETag(user));
             res.json({
                 success: true,
                 data: userWithoutPassword
@@ -401,6 +421,15 @@ class UserService {
                 });
             }
 
+            // If-Match opcional com a ETag obtida em GET /users/:id
+            const ifVersion = parseIfMatch(req.header('If-Match'));
+            if (Number.isNaN(ifVersion)) {
+                return res.status(412).json({
+                    success: false,
+                    message: 'If-Match inválido'
+                });
+            }
+
             const user = await this.usersDb.findById(id);
             if (!user) {
                 return res.status(404).json({
@@ -418,15 +447,37 @@ class UserService {
             if (theme) updates['profile.preferences.theme'] = theme;
             if (language) updates['profile.preferences.language'] = language;
 
-            const updatedUser = await this.usersDb.update(id, updates);
+            const updatedUser = await this.usersDb.update(id, updates, { ifVersion });
+            // O usuário pode ter sido removido entre a busca e a escrita
+            if (!updatedUser) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Usuário não encontrado'
+                });
+            }
             const { password, ...userWithoutPassword } = updatedUser;
 
+            res.set('ETag', formatETag(updatedUser));
             res.json({
                 success: true,
                 message: 'Usuário atualizado com sucesso',
                 data: userWithoutPassword
             });
         } catch (error) {
+            if (error instanceof UniqueConstraintError) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Email já está em uso'
+                });
+            }
+            if (error instanceof VersionConflictError) {
+                res.set('ETag', `"${error.currentVersion}"`);
+                return res.status(412).json({
+                    success: false,
+                    message: 'Usuário foi alterado desde a versão informada em If-Match',
+                    currentVersion: error.currentVersion
+                });
+            }
             console.error('Erro ao atualizar usuário:', error);
             res.status(500).json({
                 success: false,
@@ -445,7 +496,8 @@ class UserService {
                 });
             }
 
-            const users = await this.usersDb.search(q, ['firstName', 'lastName', 'username', 'email']);
+            // Resultados ordenados por relevância; acentos e maiúsculas são ignorados
+            const users = await this.usersDb.search(q);
 
             const safeUsers = users
                 .filter(user => user.status === 'active')
@@ -472,33 +524,154 @@ class UserService {
         }
     }
 
-    registerWithRegistry() {
-        serviceRegistry.register(this.serviceName, {
-            url: this.serviceUrl,
-            version: '1.0.0',
-            database: 'JSON-NoSQL',
-            endpoints: ['/health', '/auth/register', '/auth/login', '/users', '/search']
-        });
+    // O papel é conferido no banco, não no token, para que a revogação valha imediatamente
+    async requireAdmin(req, res, next) {
+        try {
+            const user = await this.usersDb.findById(req.user.id);
+            if (!user || user.role !== 'admin') {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Acesso restrito a administradores'
+                });
+            }
+            next();
+        } catch (error) {
+            console.error('Erro ao verificar administrador:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
     }
 
-    startHealthReporting() {
-        setInterval(() => {
-            serviceRegistry.updateHealth(this.serviceName, true);
-        }, 30000);
+    async listBackups(req, res) {
+        try {
+            const backups = await backup.listBackups();
+            res.json({
+                success: true,
+                data: backups
+            });
+        } catch (error) {
+            console.error('Erro ao listar backups:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
     }
 
-    start() {
-        this.app.listen(this.port, () => {
-            console.log('=====================================');
-            console.log(`User Service iniciado na porta ${this.port}`);
-            console.log(`URL: ${this.serviceUrl}`);
-            console.log(`Health: ${this.serviceUrl}/health`);
-            console.log(`Database: JSON-NoSQL`);
-            console.log('=====================================');
-
-            this.registerWithRegistry();
-            this.startHealthReporting();
-        });
+    async createBackup(req, res) {
+        try {
+            const { services, label } = req.body || {};
+            if (services !== undefined && !Array.isArray(services)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'services deve ser uma lista de serviços'
+                });
+            }
+
+            const available = await backup.listServices();
+            const unknown = (services || []).filter(service => !available.includes(service));
+            if (unknown.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Serviço(s) desconhecido(s): ${unknown.join(', ')}`
+                });
+            }
+
+            const manifest = await backup.createBackup({ services, label });
+            res.status(201).json({
+                success: true,
+                message: 'Backup criado',
+                data: manifest
+            });
+        } catch (error) {
+            console.error('Erro ao criar backup:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    async restoreBackup(req, res) {
+        try {
+            const { services, safetyBackup = true } = req.body || {};
+            if (services !== undefined && !Array.isArray(services)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'services deve ser uma lista de serviços'
+                });
+            }
+
+            const manifest = await backup.readManifest(req.params.id);
+            const missing = (services || []).filter(service => !manifest.services[service]);
+            if (missing.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Serviço(s) ausente(s) no backup: ${missing.join(', ')}`
+                });
+            }
+
+            const result = await backup.restoreBackup(req.params.id, { services, safetyBackup: safetyBackup !== false });
+            res.json({
+                success: true,
+                message: 'Backup restaurado',
+                data: result
+            });
+        } catch (error) {
+            if (error instanceof backup.BackupNotFoundError) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Backup não encontrado'
+                });
+            }
+            if (error instanceof backup.BackupIntegrityError) {
+                return res.status(422).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+            console.error('Erro ao restaurar backup:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    async start() {
+        try {
+            await this.usersDb.ready;
+            await this.indexesReady;
+            // Recusa subir se os dados tiverem migrações que este código não conhece
+            await migrations.migrate(this.dbPath, path.join(__dirname, 'migrations'));
+        } catch (error) {
+            console.error('Banco de dados do user-service não pôde ser inicializado:', error.message);
+            process.exit(1);
+        }
+
+        // Escuta e registra a instância; o registry renova o lease (heartbeat) enquanto o processo estiver vivo
+        const { server, port, url, instanceId } = await listenAndRegister(this.app, this.config);
+        this.server = server;
+        this.port = port;
+        this.serviceUrl = url;
+        this.instanceId = instanceId;
+
+        console.log('=====================================');
+        console.log(`User Service iniciado na porta ${this.port}`);
+        console.log(`URL: ${this.serviceUrl}`);
+        console.log(`Health: ${this.serviceUrl}/health`);
+        console.log(`Database: JSON-NoSQL`);
+        console.log('=====================================');
+    }
+
+    // Sai do registry e para de aceitar conexões
+    async stop() {
+        await serviceRegistry.cleanup();
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+        }
     }
 
     validateUserSchema(user) {
@@ -513,8 +686,10 @@ class UserService {
                 defaultStore: 'string',
                 currency: 'string'
             },
-            createdAt: 'number',
-            updatedAt: 'number'
+            role: 'string',
+            status: 'string',
+            createdAt: 'string',
+            updatedAt: 'string'
         };
 
         for (const key in schema) {
@@ -523,27 +698,22 @@ class UserService {
             }
         }
     }
-
-    async isEmailUnique(email) {
-        const users = await this.usersDb.find();
-        return !users.some(user => user.email === email);
-    }
 }
 
 // Start service
 if (require.main === module) {
     const userService = new UserService();
-    userService.start();
+    userService.start().catch((error) => {
+        console.error('User Service não pôde iniciar:', error.message);
+        process.exit(1);
+    });
 
     // Graceful shutdown
-    process.on('SIGTERM', () => {
-        serviceRegistry.unregister('user-service');
-        process.exit(0);
-    });
-    process.on('SIGINT', () => {
-        serviceRegistry.unregister('user-service');
-        process.exit(0);
-    });
+    const shutdown = () => {
+        userService.stop().finally(() => process.exit(0));
+    };
+    process.once('SIGTERM', shutdown);
+    process.once('SIGINT', shutdown);
 }
 
 module.exports = UserService;
\ No newline at end of file
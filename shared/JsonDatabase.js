@@ -1,63 +1,131 @@
-const fs = require('fs-extra');
-const path = require('path');
+const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
+const { getDefaultStorage } = require('./storage');
+const { CorruptCollectionError, clone } = require('./storage/common');
+const { tokenize } = require('./textAnalysis');
+
+// Busca de texto: peso de um termo casado apenas por prefixo ("feij" → "feijao")
+const PREFIX_MATCH_WEIGHT = 0.5;
+
+// Por adaptador de armazenamento e coleção: primeira instância aberta (reutilizada por transações) e change stream
+const openDatabases = new WeakMap();
+const changeStreams = new WeakMap();
+
+function registryFor(registry, storage) {
+    if (!registry.has(storage)) {
+        registry.set(storage, new Map());
+    }
+    return registry.get(storage);
+}
+
+class UniqueConstraintError extends Error {
+    constructor(collectionName, field, value) {
+        super(`Valor duplicado para o índice único ${collectionName}.${field}: ${value}`);
+        this.name = 'UniqueConstraintError';
+        this.field = field;
+        this.value = value;
+    }
+}
+
+class VersionConflictError extends Error {
+    constructor(collectionName, id, expectedVersion, currentVersion) {
+        super(`Conflito de versão em ${collectionName}/${id}: esperada ${expectedVersion}, atual ${currentVersion}`);
+        this.name = 'VersionConflictError';
+        this.id = id;
+        this.expectedVersion = expectedVersion;
+        this.currentVersion = currentVersion;
+    }
+}
 
 class JsonDatabase {
-    constructor(dbPath, collectionName) {
+    // options.storage: adaptador de armazenamento (ver shared/storage); por padrão o definido
+    // por JSONDB_STORAGE para o diretório, compartilhado entre as instâncias do processo
+    constructor(dbPath, collectionName, { storage } = {}) {
         this.dbPath = dbPath;
         this.collectionName = collectionName;
-        this.filePath = path.join(dbPath, `${collectionName}.json`);
-        this.indexPath = path.join(dbPath, `${collectionName}_index.json`);
+        this.storage = storage || getDefaultStorage(dbPath);
+
+        const databases = registryFor(openDatabases, this.storage);
+        if (!databases.has(collectionName)) {
+            databases.set(collectionName, this);
+        }
 
-        this.ensureDatabase();
+        // Operações aguardam a inicialização; serviços devem aguardar `ready` antes de subir
+        this.ready = this.ensureDatabase();
     }
 
     async ensureDatabase() {
         try {
-            // Criar diretório do banco se não existir
-            await fs.ensureDir(this.dbPath);
+            await this.storage.init(this.collectionName);
 
-            // Criar arquivo da coleção se não existir
-            if (!await fs.pathExists(this.filePath)) {
-                await fs.writeJson(this.filePath, []);
-            }
+            // Recuperação: uma coleção ilegível impede a inicialização em vez de ser zerada
+            const documents = await this.readAll({ includeDeleted: true });
 
-            // Criar índice se não existir
-            if (!await fs.pathExists(this.indexPath)) {
-                await fs.writeJson(this.indexPath, {});
-            }
+            // O índice é derivado da coleção e pode ser reconstruído
+            await this.recoverIndex(documents);
         } catch (error) {
             console.error('Erro ao inicializar banco:', error);
             throw error;
         }
     }
 
+    async recoverIndex(documents) {
+        let index = null;
+        try {
+            index = await this.storage.readIndex(this.collectionName);
+        } catch (error) {
+            console.warn(`Índice de ${this.collectionName} ilegível, reconstruindo:`, error.message);
+        }
+
+        if (index && this.isIndexConsistent(index, documents)) {
+            return;
+        }
+
+        // Índice ausente, no formato antigo ({ id: { id, updatedAt } }) ou defasado após uma falha
+        await this.withWriteLock(async () => {
+            await this.storage.writeIndex(this.collectionName, this.buildIndex(documents, index || {}));
+        }, { skipReady: true });
+    }
+
+    // Lock de escrita da coleção; retorna a função que o libera
+    async acquireWriteLock({ skipReady = false } = {}) {
+        // Aguardar a inicialização antes de entrar na fila (a própria recuperação usa a fila)
+        if (!skipReady) {
+            await this.ready;
+        }
+        return this.storage.lock(this.collectionName);
+    }
+
+    // Serializa escritas da coleção (fila no processo e, nos adaptadores em arquivo, lock entre processos)
+    async withWriteLock(operation, options) {
+        const release = await this.acquireWriteLock(options);
+        try {
+            return await operation();
+        } finally {
+            await release();
+        }
+    }
+
     // Criar documento
     async create(data) {
         try {
-            const documents = await this.readAll();
-            const document = {
-                id: data.id || uuidv4(),
-                ...data,
-                createdAt: data.createdAt || new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            };
-
-            documents.push(document);
-            await this.writeAll(documents);
-            await this.updateIndex(document);
-
-            return document;
+            return await this.withWriteLock(async () => {
+                const state = await this.loadState();
+                const document = this.insertDocument(state, data);
+                await this.saveState(state);
+                this.emitChanges(state.changes);
+                return document;
+            });
         } catch (error) {
             console.error('Erro ao criar documento:', error);
             throw error;
         }
     }
 
-    // Buscar por ID
-    async findById(id) {
+    // Buscar por ID. Leituras ignoram documentos na lixeira (deletedAt), exceto com includeDeleted.
+    async findById(id, options = {}) {
         try {
-            const documents = await this.readAll();
+            const documents = await this.readAll(options);
             return documents.find(doc => doc.id === id) || null;
         } catch (error) {
             console.error('Erro ao buscar documento:', error);
@@ -66,10 +134,10 @@ class JsonDatabase {
     }
 
     // Buscar um documento com filtro
-    async findOne(filter) {
+    async findOne(filter, options = {}) {
         try {
-            const documents = await this.readAll();
-            return documents.find(doc => this.matchesFilter(doc, filter)) || null;
+            const documents = await this.queryDocuments(filter, options);
+            return documents[0] || null;
         } catch (error) {
             console.error('Erro ao buscar documento:', error);
             throw error;
@@ -79,26 +147,9 @@ class JsonDatabase {
     // Buscar múltiplos documentos
     async find(filter = {}, options = {}) {
         try {
-            let documents = await this.readAll();
-
-            // Aplicar filtro
-            if (Object.keys(filter).length > 0) {
-                documents = documents.filter(doc => this.matchesFilter(doc, filter));
-            }
-
-            // Aplicar ordenação
-            if (options.sort) {
-                documents = this.sortDocuments(documents, options.sort);
-            }
-
-            // Aplicar paginação
-            if (options.skip || options.limit) {
-                const skip = options.skip || 0;
-                const limit = options.limit || documents.length;
-                documents = documents.slice(skip, skip + limit);
-            }
-
-            return documents;
+            // Aplicar filtro (usando índices quando disponíveis)
+            const documents = await this.queryDocuments(filter, options);
+            return this.applyFindOptions(documents, options);
         } catch (error) {
             console.error('Erro ao buscar documentos:', error);
             throw error;
@@ -106,157 +157,1105 @@ class JsonDatabase {
     }
 
     // Contar documentos
-    async count(filter = {}) {
+    async count(filter = {}, options = {}) {
         try {
-            const documents = await this.readAll();
-            if (Object.keys(filter).length === 0) {
-                return documents.length;
-            }
-            return documents.filter(doc => this.matchesFilter(doc, filter)).length;
+            const documents = await this.queryDocuments(filter, options);
+            return documents.length;
         } catch (error) {
             console.error('Erro ao contar documentos:', error);
             throw error;
         }
     }
 
-    // Atualizar documento
-    async update(id, updates) {
+    // Health check: relê a coleção do armazenamento (falha se estiver ilegível) e testa uma gravação
+    async probe() {
+        await this.ready;
+        const documents = await this.storage.readDocuments(this.collectionName);
+        await this.storage.probe();
+        return { collection: this.collectionName, documents: documents.length };
+    }
+
+    // Criar índice secundário, persistido junto com a coleção (em arquivo, <coleção>_index.json).
+    // Com unique, novas escritas que repetirem um valor existente são rejeitadas;
+    // duplicatas já presentes nos dados são apenas reportadas.
+    async createIndex(field, { unique = false } = {}) {
         try {
-            const documents = await this.readAll();
-            const index = documents.findIndex(doc => doc.id === id);
+            return await this.withWriteLock(async () => {
+                const index = await this.storage.readIndex(this.collectionName);
+                const existing = index.fields[field];
 
-            if (index === -1) {
-                return null;
-            }
+                if (existing && existing.unique === unique) {
+                    return;
+                }
 
-            documents[index] = {
-                ...documents[index],
-                ...updates,
-                id: documents[index].id, // Preservar ID
-                createdAt: documents[index].createdAt, // Preservar data de criação
-                updatedAt: new Date().toISOString()
-            };
+                const documents = await this.readAll({ includeDeleted: true });
+                const fieldIndex = { unique, values: {} };
+                documents.forEach(doc => this.addFieldToIndex(fieldIndex, field, doc));
+                index.fields[field] = fieldIndex;
 
-            await this.writeAll(documents);
-            await this.updateIndex(documents[index]);
+                if (unique) {
+                    const duplicates = Object.values(fieldIndex.values).filter(ids => ids.length > 1).length;
+                    if (duplicates > 0) {
+                        console.warn(`Índice único ${this.collectionName}.${field}: ${duplicates} valor(es) já duplicado(s) nos dados existentes`);
+                    }
+                }
 
-            return documents[index];
+                await this.storage.writeIndex(this.collectionName, index);
+                console.log(`Índice criado: ${this.collectionName}.${field}${unique ? ' (unique)' : ''}`);
+            });
         } catch (error) {
-            console.error('Erro ao atualizar documento:', error);
+            console.error('Erro ao criar índice:', error);
             throw error;
         }
     }
 
-    // Deletar documento
-    async delete(id) {
-        try {
-            const documents = await this.readAll();
-            const index = documents.findIndex(doc => doc.id === id);
+    // Criar o índice de texto usado por search(): lista de campos ou { campo: peso },
+    // ex.: { name: 3, brand: 1 }. Há um índice de texto por coleção; chamar de novo com
+    // outros campos o substitui.
+    async createTextIndex(fields) {
+        const weights = Array.isArray(fields)
+            ? Object.fromEntries(fields.map(field => [field, 1]))
+            : { ...fields };
 
-            if (index === -1) {
-                return false;
-            }
+        try {
+            return await this.withWriteLock(async () => {
+                const index = await this.storage.readIndex(this.collectionName);
+                if (index.text && this.deepEqual(index.text.fields, weights)) {
+                    return;
+                }
 
-            documents.splice(index, 1);
-            await this.writeAll(documents);
-            await this.removeFromIndex(id);
+                const documents = await this.readAll({ includeDeleted: true });
+                index.text = this.buildTextIndex(documents, weights);
 
-            return true;
+                await this.storage.writeIndex(this.collectionName, index);
+                console.log(`Índice de texto criado: ${this.collectionName} (${Object.keys(weights).join(', ')})`);
+            });
         } catch (error) {
-            console.error('Erro ao deletar documento:', error);
+            console.error('Erro ao criar índice de texto:', error);
             throw error;
         }
     }
 
-    // Busca de texto
-    async search(query, fields = []) {
+    // Atualizar documento. Aceita campos simples (equivalente a $set, inclusive com caminhos
+    // pontuados como 'profile.bio') ou operadores: $set, $unset, $inc, $push e $pull.
+    // Com ifVersion, a atualização só é aplicada se o documento ainda estiver nessa versão.
+    async update(id, updates, options = {}) {
         try {
-            const documents = await this.readAll();
-            const searchTerm = query.toLowerCase();
-
-            return documents.filter(doc => {
-                // Se campos específicos foram fornecidos, buscar apenas neles
-                if (fields.length > 0) {
-                    return fields.some(field => {
-                        const value = this.getNestedValue(doc, field);
-                        return value && value.toString().toLowerCase().includes(searchTerm);
-                    });
+            return await this.withWriteLock(async () => {
+                const state = await this.loadState();
+                const document = this.replaceDocument(state, id, updates, options);
+                if (document) {
+                    await this.saveState(state);
+                    this.emitChanges(state.changes);
                 }
+                return document;
+            });
+        } catch (error) {
+            console.error('Erro ao atualizar documento:', error);
+            throw error;
+        }
+    }
 
-                // Buscar em todos os campos de string do documento
-                return this.searchInObject(doc, searchTerm);
+    // Deletar documento (ifVersion funciona como em update). Com soft delete ativo na coleção,
+    // o documento só recebe deletedAt e vai para a lixeira; hard: true o remove de vez.
+    async delete(id, options = {}) {
+        try {
+            return await this.withWriteLock(async () => {
+                const state = await this.loadState();
+                const removed = this.removeDocument(state, id, options);
+                if (removed) {
+                    await this.saveState(state);
+                    this.emitChanges(state.changes);
+                }
+                return Boolean(removed);
             });
         } catch (error) {
-            console.error('Erro na busca:', error);
+            console.error('Erro ao deletar documento:', error);
             throw error;
         }
     }
 
-    // Métodos auxiliares
-    async readAll() {
+    // Tirar um documento da lixeira; null se ele não existir ou não estiver na lixeira
+    async restore(id, options = {}) {
         try {
-            return await fs.readJson(this.filePath);
+            return await this.withWriteLock(async () => {
+                const state = await this.loadState();
+                const document = this.restoreDocument(state, id, options);
+                if (document) {
+                    await this.saveState(state);
+                    this.emitChanges(state.changes);
+                }
+                return document;
+            });
         } catch (error) {
-            return [];
+            console.error('Erro ao restaurar documento:', error);
+            throw error;
+        }
+    }
+
+    // Configurações da coleção, persistidas no índice para valerem em todos os processos
+    // (e em transações abertas por outras coleções)
+    async updateSettings(changes) {
+        return this.withWriteLock(async () => {
+            const index = await this.storage.readIndex(this.collectionName);
+            index.settings = changes(this.getSettings(index));
+            await this.storage.writeIndex(this.collectionName, index);
+        });
+    }
+
+    getSettings(index) {
+        return { softDelete: false, ttl: {}, ...(index && index.settings) };
+    }
+
+    async enableSoftDelete(enabled = true) {
+        await this.updateSettings(settings => ({ ...settings, softDelete: enabled }));
+    }
+
+    // Regra de expiração: documentos cujo campo (data ISO ou timestamp) seja mais antigo que
+    // expireAfterSeconds são removidos por purgeExpired. null remove a regra.
+    async setTTL(field, expireAfterSeconds) {
+        await this.updateSettings(settings => {
+            const ttl = { ...settings.ttl };
+            if (expireAfterSeconds === null) {
+                delete ttl[field];
+            } else {
+                ttl[field] = expireAfterSeconds;
+            }
+            return { ...settings, ttl };
+        });
+    }
+
+    // Remove definitivamente os documentos expirados pelas regras de TTL; retorna quantos
+    async purgeExpired(now = Date.now()) {
+        await this.ready;
+
+        const index = await this.storage.readIndex(this.collectionName, { cached: true });
+        const rules = Object.entries(this.getSettings(index).ttl);
+        if (rules.length === 0) {
+            return 0;
+        }
+
+        return this.withWriteLock(async () => {
+            const state = await this.loadState();
+            const expired = state.documents.filter(doc => rules.some(([field, seconds]) => {
+                const value = this.getNestedValue(doc, field);
+                const time = typeof value === 'number' ? value : Date.parse(value);
+                return Number.isFinite(time) && time + seconds * 1000 <= now;
+            }));
+
+            expired.forEach(doc => this.removeDocument(state, doc.id, { hard: true }));
+            if (expired.length > 0) {
+                await this.saveState(state);
+                this.emitChanges(state.changes);
+                console.log(`${expired.length} documento(s) expirado(s) removido(s) de ${this.collectionName}`);
+            }
+            return expired.length;
+        });
+    }
+
+    // Executa purgeExpired periodicamente neste processo; retorna a função que para
+    startTTLMonitor({ interval = 60000 } = {}) {
+        const run = () => this.purgeExpired().catch(error => {
+            console.error(`Erro ao remover documentos expirados de ${this.collectionName}:`, error.message);
+        });
+
+        const timer = setInterval(run, interval);
+        timer.unref();
+        run();
+        return () => clearInterval(timer);
+    }
+
+    // Transação sobre uma ou mais coleções do mesmo diretório:
+    //   await listDb.transaction(async tx => { const lists = tx.collection('lists'); ... })
+    // As alterações ficam em memória e são gravadas juntas ao final; se a função lançar
+    // erro nada é gravado. Dentro dela use apenas `tx`: escritas diretas nas coleções
+    // envolvidas aguardariam o lock que a própria transação mantém.
+    async transaction(work) {
+        await this.ready;
+
+        const transaction = new Transaction(this);
+        try {
+            const result = await work(transaction);
+            await transaction.commit();
+            return result;
+        } finally {
+            await transaction.release();
+        }
+    }
+
+    // Change stream da coleção neste processo: o listener recebe
+    // { type: 'insert' | 'update' | 'delete', collection, id, before, after, timestamp }
+    // depois que a alteração foi gravada (inclusive por transações). Com soft delete, 'delete'
+    // traz em after o documento na lixeira e restore() gera 'update'. Retorna a função que cancela.
+    watch(listener) {
+        const streams = registryFor(changeStreams, this.storage);
+        if (!streams.has(this.collectionName)) {
+            streams.set(this.collectionName, new EventEmitter());
+        }
+
+        const stream = streams.get(this.collectionName);
+        stream.on('change', listener);
+        return () => stream.off('change', listener);
+    }
+
+    emitChanges(changes) {
+        const stream = registryFor(changeStreams, this.storage).get(this.collectionName);
+        if (!stream) return;
+
+        changes.forEach(change => {
+            try {
+                stream.emit('change', change);
+            } catch (error) {
+                console.error('Erro em listener de alterações:', error);
+            }
+        });
+    }
+
+    recordChange(state, type, before, after) {
+        state.changes.push({
+            type,
+            collection: this.collectionName,
+            id: (after || before).id,
+            before: before ? clone(before) : null,
+            after: after ? clone(after) : null,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // Estado da coleção (documentos + índice + alterações pendentes); deve ser lido e gravado dentro do lock
+    async loadState() {
+        return {
+            documents: await this.readAll({ includeDeleted: true }),
+            index: await this.storage.readIndex(this.collectionName),
+            changes: []
+        };
+    }
+
+    async saveState(state) {
+        await this.storage.commit([{ name: this.collectionName, ...state }]);
+    }
+
+    insertDocument(state, data) {
+        const document = {
+            id: data.id || uuidv4(),
+            ...data,
+            version: 1,
+            createdAt: data.createdAt || new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        this.checkUniqueConstraints(state.index, document);
+
+        state.documents.push(document);
+        this.addToIndex(state.index, document);
+        this.recordChange(state, 'insert', null, document);
+        return document;
+    }
+
+    replaceDocument(state, id, updates, { ifVersion } = {}) {
+        const position = state.documents.findIndex(doc => doc.id === id);
+        if (position === -1 || this.isDeleted(state.documents[position])) {
+            return null;
         }
+
+        const previous = state.documents[position];
+        this.checkVersion(previous, ifVersion);
+
+        const document = {
+            ...this.applyUpdate(previous, updates),
+            id: previous.id, // Preservar ID
+            version: this.getVersion(previous) + 1,
+            createdAt: previous.createdAt, // Preservar data de criação
+            updatedAt: new Date().toISOString()
+        };
+
+        this.checkUniqueConstraints(state.index, document, previous);
+        this.writeDocument(state, position, document, 'update');
+        return document;
     }
 
-    async writeAll(documents) {
-        await fs.writeJson(this.filePath, documents, { spaces: 2 });
+    // Com soft delete, a alteração é registrada como 'delete' com after = documento na lixeira
+    removeDocument(state, id, { ifVersion, hard = false } = {}) {
+        const position = state.documents.findIndex(doc => doc.id === id);
+        if (position === -1) {
+            return null;
+        }
+
+        const previous = state.documents[position];
+        const soft = !hard && this.getSettings(state.index).softDelete;
+        if (soft && this.isDeleted(previous)) {
+            return null;
+        }
+
+        this.checkVersion(previous, ifVersion);
+
+        if (soft) {
+            const now = new Date().toISOString();
+            const document = { ...previous, deletedAt: now, version: this.getVersion(previous) + 1, updatedAt: now };
+            this.writeDocument(state, position, document, 'delete');
+            return document;
+        }
+
+        const [removed] = state.documents.splice(position, 1);
+        this.removeFromIndex(state.index, removed);
+        this.recordChange(state, 'delete', removed, null);
+        return removed;
     }
 
-    async updateIndex(document) {
+    restoreDocument(state, id, { ifVersion } = {}) {
+        const position = state.documents.findIndex(doc => doc.id === id);
+        if (position === -1 || !this.isDeleted(state.documents[position])) {
+            return null;
+        }
+
+        const previous = state.documents[position];
+        this.checkVersion(previous, ifVersion);
+
+        const { deletedAt, ...rest } = previous;
+        const document = { ...rest, version: this.getVersion(previous) + 1, updatedAt: new Date().toISOString() };
+        this.checkUniqueConstraints(state.index, document, previous);
+        this.writeDocument(state, position, document, 'update');
+        return document;
+    }
+
+    writeDocument(state, position, document, type) {
+        const previous = state.documents[position];
+        state.documents[position] = document;
+        this.removeFromIndex(state.index, previous);
+        this.addToIndex(state.index, document);
+        this.recordChange(state, type, previous, document);
+    }
+
+    // Substitui todo o conteúdo da coleção (restauração de backups). Os documentos são gravados
+    // como vieram, inclusive version; definitions mantém os índices atuais se omitido.
+    replaceAllDocuments(state, documents, definitions = state.index.fields) {
+        const incoming = new Map(documents.map(doc => [doc.id, doc]));
+        const current = new Map(state.documents.map(doc => [doc.id, doc]));
+
+        state.documents.forEach(doc => {
+            if (!incoming.has(doc.id)) {
+                this.recordChange(state, 'delete', doc, null);
+            }
+        });
+        documents.forEach(doc => {
+            const before = current.get(doc.id);
+            if (!before) {
+                this.recordChange(state, 'insert', null, doc);
+            } else if (!this.deepEqual(before, doc)) {
+                this.recordChange(state, 'update', before, doc);
+            }
+        });
+
+        state.documents = documents.map(clone);
+        state.index = this.buildIndex(state.documents, { ...state.index, fields: definitions });
+    }
+
+    applyFindOptions(documents, options = {}) {
+        let result = documents;
+
+        // Aplicar ordenação
+        if (options.sort) {
+            result = this.sortDocuments(result, options.sort);
+        }
+
+        // Aplicar paginação
+        if (options.skip || options.limit) {
+            const skip = options.skip || 0;
+            const limit = options.limit || result.length;
+            result = result.slice(skip, skip + limit);
+        }
+
+        return result;
+    }
+
+    // Busca de texto ordenada por relevância, sem diferenciar acentos e maiúsculas e aceitando
+    // prefixos ("feij" encontra "Feijão"). Usa o índice de texto (createTextIndex) quando ele
+    // cobre os campos pedidos; sem ele, indexa os documentos em memória a cada busca.
+    // Sem fields, busca nos campos do índice de texto ou, sem índice, em todos os textos.
+    async search(query, fields = [], { limit, includeDeleted = false } = {}) {
         try {
-            const index = await fs.readJson(this.indexPath);
-            index[document.id] = {
-                id: document.id,
-                updatedAt: document.updatedAt
-            };
-            await fs.writeJson(this.indexPath, index, { spaces: 2 });
+            const documents = await this.readAll({ includeDeleted: true });
+            const queryTerms = [...new Set(tokenize(query || ''))];
+            if (queryTerms.length === 0) {
+                return [];
+            }
+
+            let text = null;
+            try {
+                const index = await this.storage.readIndex(this.collectionName, { cached: true });
+                if (index && index.text && this.isIndexConsistent(index, documents) &&
+                    fields.every(field => field in index.text.fields)) {
+                    text = index.text;
+                }
+            } catch (error) {
+                console.warn(`Índice de ${this.collectionName} indisponível, indexando em memória:`, error.message);
+            }
+
+            if (!text) {
+                const weights = fields.length > 0 ? Object.fromEntries(fields.map(field => [field, 1])) : null;
+                text = this.buildTextIndex(documents, weights);
+            }
+
+            const scores = this.scoreText(text, queryTerms, fields, documents.length);
+            const results = documents
+                .filter(doc => scores.has(doc.id) && (includeDeleted || !this.isDeleted(doc)))
+                .sort((a, b) => scores.get(b.id) - scores.get(a.id));
+
+            return limit ? results.slice(0, limit) : results;
         } catch (error) {
-            console.error('Erro ao atualizar índice:', error);
+            console.error('Erro na busca:', error);
+            throw error;
         }
     }
 
-    async removeFromIndex(id) {
+    // Pipeline de agregação no estilo MongoDB. Estágios: $match, $unwind, $group
+    // (acumuladores $sum, $avg, $count, $min, $max), $project, $sort e $limit.
+    // Expressões aceitam referências a campos ('$items.quantity'), literais e
+    // $multiply, $add, $subtract e $divide.
+    async aggregate(pipeline = []) {
         try {
-            const index = await fs.readJson(this.indexPath);
-            delete index[id];
-            await fs.writeJson(this.indexPath, index, { spaces: 2 });
+            // Um $match inicial pode usar os índices da coleção
+            let documents;
+            let stages = pipeline;
+            if (pipeline.length > 0 && pipeline[0].$match) {
+                documents = await this.queryDocuments(pipeline[0].$match);
+                stages = pipeline.slice(1);
+            } else {
+                documents = await this.readAll();
+            }
+
+            return stages.reduce((current, stage) => this.runStage(current, stage), documents);
         } catch (error) {
-            console.error('Erro ao remover do índice:', error);
+            console.error('Erro na agregação:', error);
+            throw error;
         }
     }
 
-    matchesFilter(document, filter) {
-        return Object.entries(filter).every(([key, value]) => {
-            const docValue = this.getNestedValue(document, key);
-
-            if (typeof value === 'object' && value !== null) {
-                // Operadores especiais
-                if (value.$regex) {
-                    const regex = new RegExp(value.$regex, value.$options || 'i');
-                    return regex.test(docValue);
-                }
-                if (value.$in) {
-                    return value.$in.includes(docValue);
+    runStage(documents, stage) {
+        const [name, spec] = Object.entries(stage)[0] || [];
+
+        switch (name) {
+            case '$match':
+                return documents.filter(doc => this.matchesFilter(doc, spec));
+            case '$unwind':
+                return this.unwindDocuments(documents, spec);
+            case '$group':
+                return this.groupDocuments(documents, spec);
+            case '$project':
+                return documents.map(doc => this.projectDocument(doc, spec));
+            case '$sort':
+                return this.sortDocuments(documents, spec);
+            case '$limit':
+                return documents.slice(0, spec);
+            default:
+                throw new Error(`Estágio de agregação não suportado: ${name}`);
+        }
+    }
+
+    // Um documento por elemento do array; aceita '$campo' ou { path, preserveNullAndEmptyArrays }
+    unwindDocuments(documents, spec) {
+        const options = typeof spec === 'string' ? { path: spec } : spec;
+        const field = options.path.replace(/^\$/, '');
+
+        return documents.flatMap(doc => {
+            const values = this.getNestedValue(doc, field);
+
+            if (!Array.isArray(values) || values.length === 0) {
+                return options.preserveNullAndEmptyArrays ? [doc] : [];
+            }
+            return values.map(value => {
+                const unwound = clone(doc);
+                this.setNestedValue(unwound, field, value);
+                return unwound;
+            });
+        });
+    }
+
+    groupDocuments(documents, spec) {
+        const { _id: idExpression, ...accumulators } = spec;
+        const groups = new Map();
+
+        documents.forEach(doc => {
+            const id = this.evaluateExpression(doc, idExpression);
+            const key = JSON.stringify(id === undefined ? null : id);
+
+            if (!groups.has(key)) {
+                groups.set(key, { _id: id === undefined ? null : id, state: {} });
+            }
+            const group = groups.get(key);
+
+            Object.entries(accumulators).forEach(([field, accumulator]) => {
+                group.state[field] = this.accumulate(group.state[field], accumulator, doc);
+            });
+        });
+
+        return [...groups.values()].map(({ _id, state }) => {
+            const result = { _id };
+            Object.entries(accumulators).forEach(([field, accumulator]) => {
+                result[field] = this.finalizeAccumulator(state[field], accumulator);
+            });
+            return result;
+        });
+    }
+
+    accumulate(current, accumulator, doc) {
+        const [operator, expression] = Object.entries(accumulator)[0];
+        const value = operator === '$count' ? 1 : this.evaluateExpression(doc, expression);
+        const state = current || { sum: 0, count: 0, value: undefined };
+
+        switch (operator) {
+            case '$sum':
+            case '$avg':
+                // Valores não numéricos são ignorados, como no MongoDB
+                if (typeof value === 'number') {
+                    state.sum += value;
+                    state.count++;
                 }
-                if (value.$gt) {
-                    return docValue > value.$gt;
+                break;
+            case '$count':
+                state.count++;
+                break;
+            case '$min':
+                if (value !== undefined && value !== null && (state.value === undefined || value < state.value)) {
+                    state.value = value;
                 }
-                if (value.$lt) {
-                    return docValue < value.$lt;
+                break;
+            case '$max':
+                if (value !== undefined && value !== null && (state.value === undefined || value > state.value)) {
+                    state.value = value;
                 }
-                if (value.$gte) {
-                    return docValue >= value.$gte;
+                break;
+            default:
+                throw new Error(`Acumulador não suportado: ${operator}`);
+        }
+        return state;
+    }
+
+    finalizeAccumulator(state, accumulator) {
+        const [operator] = Object.keys(accumulator);
+
+        switch (operator) {
+            case '$sum':
+                return state.sum;
+            case '$avg':
+                return state.count > 0 ? state.sum / state.count : null;
+            case '$count':
+                return state.count;
+            default:
+                return state.value === undefined ? null : state.value;
+        }
+    }
+
+    // Inclusão (1, true ou expressão) ou exclusão (0, false) de campos; _id é mantido salvo _id: 0
+    projectDocument(doc, spec) {
+        const entries = Object.entries(spec);
+        const exclusion = entries.every(([field, value]) => value === 0 || value === false || field === '_id');
+
+        if (exclusion && entries.some(([, value]) => value === 0 || value === false)) {
+            const result = clone(doc);
+            entries.forEach(([field]) => this.unsetNestedValue(result, field));
+            return result;
+        }
+
+        const result = {};
+        if (doc._id !== undefined && spec._id === undefined) {
+            result._id = doc._id;
+        }
+
+        entries.forEach(([field, value]) => {
+            if (value === 0 || value === false) return;
+
+            const projected = value === 1 || value === true
+                ? this.getNestedValue(doc, field)
+                : this.evaluateExpression(doc, value);
+
+            if (projected !== undefined) {
+                this.setNestedValue(result, field, projected);
+            }
+        });
+        return result;
+    }
+
+    evaluateExpression(doc, expression) {
+        if (typeof expression === 'string' && expression.startsWith('$')) {
+            return this.getNestedValue(doc, expression.slice(1));
+        }
+        if (Array.isArray(expression)) {
+            return expression.map(item => this.evaluateExpression(doc, item));
+        }
+        if (typeof expression !== 'object' || expression === null) {
+            return expression;
+        }
+
+        const [operator] = Object.keys(expression);
+        const arithmetic = {
+            $multiply: values => values.reduce((a, b) => a * b, 1),
+            $add: values => values.reduce((a, b) => a + b, 0),
+            $subtract: ([a, b]) => a - b,
+            $divide: ([a, b]) => (b === 0 ? null : a / b)
+        };
+
+        if (arithmetic[operator]) {
+            const values = this.evaluateExpression(doc, expression[operator]);
+            return values.some(value => typeof value !== 'number') ? null : arithmetic[operator](values);
+        }
+
+        // Objeto composto, ex.: _id: { status: '$status', userId: '$userId' }
+        const result = {};
+        Object.entries(expression).forEach(([key, value]) => {
+            result[key] = this.evaluateExpression(doc, value);
+        });
+        return result;
+    }
+
+    // Métodos auxiliares
+    async readAll({ includeDeleted = false } = {}) {
+        const documents = await this.storage.readDocuments(this.collectionName);
+        return includeDeleted ? documents : documents.filter(doc => !this.isDeleted(doc));
+    }
+
+    isDeleted(document) {
+        return document.deletedAt !== undefined && document.deletedAt !== null;
+    }
+
+    // Reconstrói o índice mantendo as definições (campos, índice de texto e configurações) do modelo
+    buildIndex(documents, { fields = {}, text = null, settings = null } = {}) {
+        const index = { documents: {}, fields: {} };
+        Object.entries(fields).forEach(([field, definition]) => {
+            index.fields[field] = { unique: !!definition.unique, values: {} };
+        });
+        if (text) {
+            index.text = { fields: text.fields, postings: {} };
+        }
+        if (settings) {
+            index.settings = settings;
+        }
+        documents.forEach(doc => this.addToIndex(index, doc));
+        return index;
+    }
+
+    // Índice invertido: termo normalizado → { id: { campo: ocorrências } }. Sem weights,
+    // todos os textos do documento são indexados sob o campo '*'.
+    buildTextIndex(documents, weights) {
+        const text = { fields: weights, postings: {} };
+        documents.forEach(doc => this.addToTextIndex(text, doc));
+        return text;
+    }
+
+    // Textos de um campo: strings e números, inclusive dentro de arrays e objetos
+    textValues(value) {
+        if (value === undefined || value === null) return [];
+        if (typeof value === 'string' || typeof value === 'number') return [String(value)];
+        if (typeof value === 'object') return Object.values(value).flatMap(v => this.textValues(v));
+        return [];
+    }
+
+    textTerms(document, fields) {
+        const terms = {};
+        const sources = fields
+            ? Object.keys(fields).map(field => [field, this.getNestedValue(document, field)])
+            : [['*', document]];
+
+        sources.forEach(([field, value]) => {
+            this.textValues(value).forEach(text => {
+                tokenize(text).forEach(term => {
+                    const counts = terms[term] || (terms[term] = {});
+                    counts[field] = (counts[field] || 0) + 1;
+                });
+            });
+        });
+        return terms;
+    }
+
+    addToTextIndex(text, document) {
+        Object.entries(this.textTerms(document, text.fields)).forEach(([term, counts]) => {
+            const postings = text.postings[term] || (text.postings[term] = {});
+            postings[document.id] = counts;
+        });
+    }
+
+    removeFromTextIndex(text, document) {
+        Object.keys(this.textTerms(document, text.fields)).forEach(term => {
+            const postings = text.postings[term];
+            if (!postings) return;
+            delete postings[document.id];
+            if (Object.keys(postings).length === 0) {
+                delete text.postings[term];
+            }
+        });
+    }
+
+    // Pontuação TF-IDF: todo termo da busca precisa casar (exato ou como prefixo de um termo
+    // indexado); ocorrências são multiplicadas pelo peso do campo. Retorna Map id → pontuação.
+    scoreText(text, queryTerms, fields, totalDocuments) {
+        let scores = null;
+
+        for (const queryTerm of queryTerms) {
+            const termScores = new Map();
+
+            Object.entries(text.postings).forEach(([term, postings]) => {
+                if (!term.startsWith(queryTerm)) return;
+
+                const match = term === queryTerm ? 1 : PREFIX_MATCH_WEIGHT;
+                const idf = Math.log(1 + totalDocuments / Object.keys(postings).length);
+
+                Object.entries(postings).forEach(([id, counts]) => {
+                    const frequency = Object.entries(counts)
+                        .filter(([field]) => fields.length === 0 || fields.includes(field))
+                        .reduce((sum, [field, count]) => sum + count * (text.fields ? text.fields[field] : 1), 0);
+
+                    if (frequency > 0) {
+                        termScores.set(id, (termScores.get(id) || 0) + match * frequency * idf);
+                    }
+                });
+            });
+
+            if (scores) {
+                const combined = new Map();
+                termScores.forEach((score, id) => {
+                    if (scores.has(id)) combined.set(id, scores.get(id) + score);
+                });
+                scores = combined;
+            } else {
+                scores = termScores;
+            }
+        }
+
+        return scores || new Map();
+    }
+
+    // O mapa documents ({ id: { id, version, updatedAt } }) permite detectar um índice defasado
+    isIndexConsistent(index, documents) {
+        if (!index.documents || !index.fields) {
+            return false;
+        }
+        if (Object.keys(index.documents).length !== documents.length) {
+            return false;
+        }
+        return documents.every(doc => {
+            const entry = index.documents[doc.id];
+            return entry && entry.version === doc.version && entry.updatedAt === doc.updatedAt;
+        });
+    }
+
+    // Chaves indexáveis de um campo: valores escalares, ou cada elemento escalar de um array
+    indexKeys(document, field) {
+        const value = this.getNestedValue(document, field);
+        const values = Array.isArray(value) ? value : [value];
+        const keys = values
+            .filter(v => v !== undefined && v !== null && typeof v !== 'object')
+            .map(v => JSON.stringify(v));
+        return [...new Set(keys)];
+    }
+
+    addFieldToIndex(fieldIndex, field, document) {
+        this.indexKeys(document, field).forEach(key => {
+            const ids = fieldIndex.values[key] || (fieldIndex.values[key] = []);
+            if (!ids.includes(document.id)) {
+                ids.push(document.id);
+            }
+        });
+    }
+
+    addToIndex(index, document) {
+        index.documents[document.id] = { id: document.id, version: document.version, updatedAt: document.updatedAt };
+        Object.entries(index.fields).forEach(([field, fieldIndex]) => {
+            this.addFieldToIndex(fieldIndex, field, document);
+        });
+        if (index.text) {
+            this.addToTextIndex(index.text, document);
+        }
+    }
+
+    removeFromIndex(index, document) {
+        delete index.documents[document.id];
+        Object.entries(index.fields).forEach(([field, fieldIndex]) => {
+            this.indexKeys(document, field).forEach(key => {
+                const ids = (fieldIndex.values[key] || []).filter(id => id !== document.id);
+                if (ids.length > 0) {
+                    fieldIndex.values[key] = ids;
+                } else {
+                    delete fieldIndex.values[key];
                 }
-                if (value.$lte) {
-                    return docValue <= value.$lte;
+            });
+        });
+        if (index.text) {
+            this.removeFromTextIndex(index.text, document);
+        }
+    }
+
+    // Só valores novos são verificados, para que documentos com duplicatas legadas continuem editáveis
+    checkUniqueConstraints(index, document, previous = null) {
+        Object.entries(index.fields).forEach(([field, fieldIndex]) => {
+            if (!fieldIndex.unique) return;
+
+            const previousKeys = previous ? this.indexKeys(previous, field) : [];
+            this.indexKeys(document, field).forEach(key => {
+                if (previousKeys.includes(key)) return;
+
+                const owners = (fieldIndex.values[key] || []).filter(id => id !== document.id);
+                if (owners.length > 0) {
+                    throw new UniqueConstraintError(this.collectionName, field, JSON.parse(key));
                 }
+            });
+        });
+    }
+
+    // Ids candidatos para os campos indexados do filtro (igualdade ou $in); null se nenhum índice se aplica
+    findCandidateIds(index, filter) {
+        let candidates = null;
+
+        Object.entries(filter).forEach(([field, value]) => {
+            const fieldIndex = index.fields[field];
+            if (!fieldIndex) return;
+
+            let values;
+            if (value !== null && typeof value !== 'object') {
+                values = [value];
+            } else if (value && Array.isArray(value.$in) && Object.keys(value).length === 1 &&
+                value.$in.every(v => v !== null && typeof v !== 'object')) {
+                values = value.$in;
+            } else {
+                return;
+            }
+
+            const ids = new Set(values.flatMap(v => fieldIndex.values[JSON.stringify(v)] || []));
+            candidates = candidates ? new Set([...candidates].filter(id => ids.has(id))) : ids;
+        });
+
+        return candidates;
+    }
+
+    // Aplica o filtro restringindo a avaliação aos candidatos do índice; sem índice aplicável
+    // (ou com índice defasado em relação à coleção lida) faz a varredura completa
+    async queryDocuments(filter = {}, { includeDeleted = false } = {}) {
+        const documents = await this.readAll({ includeDeleted: true });
+        const live = includeDeleted ? documents : documents.filter(doc => !this.isDeleted(doc));
+        if (Object.keys(filter).length === 0) {
+            return live;
+        }
+
+        let scope = live;
+        try {
+            const index = await this.storage.readIndex(this.collectionName, { cached: true });
+            const candidates = this.findCandidateIds(index, filter);
+            if (candidates && this.isIndexConsistent(index, documents)) {
+                scope = live.filter(doc => candidates.has(doc.id));
+            }
+        } catch (error) {
+            console.warn(`Índice de ${this.collectionName} indisponível, usando varredura:`, error.message);
+        }
+
+        return scope.filter(doc => this.matchesFilter(doc, filter));
+    }
+
+    // Filtro no estilo MongoDB: campos (com caminho pontuado) combinados por AND,
+    // mais os operadores lógicos $and, $or, $nor e $not no nível do documento
+    matchesFilter(document, filter) {
+        return Object.entries(filter).every(([key, condition]) => {
+            switch (key) {
+                case '$and':
+                    return condition.every(subFilter => this.matchesFilter(document, subFilter));
+                case '$or':
+                    return condition.some(subFilter => this.matchesFilter(document, subFilter));
+                case '$nor':
+                    return !condition.some(subFilter => this.matchesFilter(document, subFilter));
+                case '$not':
+                    return !this.matchesFilter(document, condition);
+                default:
+                    return this.matchesCondition(this.getNestedValue(document, key), condition);
+            }
+        });
+    }
+
+    // Condição de um campo: valor literal (igualdade) ou objeto com um ou mais operadores
+    matchesCondition(value, condition) {
+        if (condition instanceof RegExp) {
+            return this.matchesRegex(value, condition);
+        }
+        if (!this.isOperatorObject(condition)) {
+            return this.valuesEqual(value, condition);
+        }
+
+        return Object.entries(condition).every(([operator, operand]) => {
+            switch (operator) {
+                case '$eq':
+                    return this.valuesEqual(value, operand);
+                case '$ne':
+                    return !this.valuesEqual(value, operand);
+                case '$in':
+                    return operand.some(candidate => this.valuesEqual(value, candidate));
+                case '$nin':
+                    return !operand.some(candidate => this.valuesEqual(value, candidate));
+                case '$gt':
+                    return this.compareValues(value, operand, (a, b) => a > b);
+                case '$gte':
+                    return this.compareValues(value, operand, (a, b) => a >= b);
+                case '$lt':
+                    return this.compareValues(value, operand, (a, b) => a < b);
+                case '$lte':
+                    return this.compareValues(value, operand, (a, b) => a <= b);
+                case '$exists':
+                    return (value !== undefined) === Boolean(operand);
+                case '$regex':
+                    return this.matchesRegex(value, new RegExp(operand, condition.$options || 'i'));
+                case '$options':
+                    return true; // Consumido por $regex
+                case '$not':
+                    return !this.matchesCondition(value, operand);
+                case '$elemMatch':
+                    return Array.isArray(value) && value.some(element => this.matchesElement(element, operand));
+                default:
+                    throw new Error(`Operador de consulta não suportado: ${operator}`);
             }
+        });
+    }
+
+    // $elemMatch aceita operadores sobre o próprio elemento ({ $gt: 5 }) ou um filtro sobre seus campos
+    matchesElement(element, query) {
+        const logical = ['$and', '$or', '$nor', '$not'];
+        const onElement = this.isOperatorObject(query) && !Object.keys(query).some(key => logical.includes(key));
+
+        if (onElement) {
+            return this.matchesCondition(element, query);
+        }
+        return typeof element === 'object' && element !== null && this.matchesFilter(element, query);
+    }
+
+    isOperatorObject(value) {
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+            return false;
+        }
+        const keys = Object.keys(value);
+        return keys.length > 0 && keys.every(key => key.startsWith('$'));
+    }
+
+    // Igualdade profunda; um campo array casa se algum elemento for igual ao valor procurado
+    valuesEqual(value, expected) {
+        if (Array.isArray(value) && !Array.isArray(expected)) {
+            return value.some(element => this.deepEqual(element, expected));
+        }
+        return this.deepEqual(value, expected);
+    }
 
-            return docValue === value;
+    deepEqual(a, b) {
+        if (a === b) return true;
+        if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+            return false;
+        }
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+        const keysA = Object.keys(a);
+        const keysB = Object.keys(b);
+        return keysA.length === keysB.length && keysA.every(key => this.deepEqual(a[key], b[key]));
+    }
+
+    // Comparações ignoram campos ausentes/nulos e tipos diferentes (ex.: número vs string)
+    compareValues(value, operand, compare) {
+        const values = Array.isArray(value) ? value : [value];
+        return values.some(v => v !== undefined && v !== null && typeof v === typeof operand && compare(v, operand));
+    }
+
+    matchesRegex(value, regex) {
+        const values = Array.isArray(value) ? value : [value];
+        return values.some(v => typeof v === 'string' && regex.test(v));
+    }
+
+    // Documentos criados antes do controle de versão são tratados como versão 0
+    getVersion(document) {
+        return Number.isInteger(document.version) ? document.version : 0;
+    }
+
+    checkVersion(document, expectedVersion) {
+        if (expectedVersion === undefined || expectedVersion === null) {
+            return;
+        }
+        if (this.getVersion(document) !== expectedVersion) {
+            throw new VersionConflictError(this.collectionName, document.id, expectedVersion, this.getVersion(document));
+        }
+    }
+
+    // Aplica as alterações sobre uma cópia do documento, lida dentro do lock (nunca de uma cópia antiga)
+    applyUpdate(document, updates) {
+        const keys = Object.keys(updates);
+        const operators = keys.filter(key => key.startsWith('$'));
+
+        if (operators.length > 0 && operators.length !== keys.length) {
+            throw new Error('Não é possível misturar operadores de atualização com campos simples');
+        }
+
+        const result = JSON.parse(JSON.stringify(document));
+        const operations = operators.length > 0 ? updates : { $set: updates };
+
+        Object.entries(operations).forEach(([operator, fields]) => {
+            Object.entries(fields).forEach(([field, operand]) => {
+                switch (operator) {
+                    case '$set':
+                        this.setNestedValue(result, field, operand);
+                        break;
+                    case '$unset':
+                        this.unsetNestedValue(result, field);
+                        break;
+                    case '$inc': {
+                        const current = this.getNestedValue(result, field);
+                        if (typeof operand !== 'number' || (current !== undefined && typeof current !== 'number')) {
+                            throw new Error(`$inc em campo não numérico: ${field}`);
+                        }
+                        this.setNestedValue(result, field, (current || 0) + operand);
+                        break;
+                    }
+                    case '$push': {
+                        const current = this.getNestedValue(result, field);
+                        if (current !== undefined && !Array.isArray(current)) {
+                            throw new Error(`$push em campo que não é array: ${field}`);
+                        }
+                        const values = operand && Array.isArray(operand.$each) ? operand.$each : [operand];
+                        this.setNestedValue(result, field, [...(current || []), ...values]);
+                        break;
+                    }
+                    case '$pull': {
+                        const current = this.getNestedValue(result, field);
+                        if (Array.isArray(current)) {
+                            this.setNestedValue(result, field, current.filter(element => !this.matchesPullCondition(element, operand)));
+                        }
+                        break;
+                    }
+                    default:
+                        throw new Error(`Operador de atualização não suportado: ${operator}`);
+                }
+            });
         });
+
+        return result;
+    }
+
+    // $pull remove elementos iguais ao valor ou que satisfaçam a condição/filtro informado
+    matchesPullCondition(element, condition) {
+        if (typeof condition === 'object' && condition !== null && !Array.isArray(condition)) {
+            return this.matchesElement(element, condition);
+        }
+        return this.deepEqual(element, condition);
+    }
+
+    setNestedValue(obj, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((current, key) => {
+            if (typeof current[key] !== 'object' || current[key] === null) {
+                current[key] = {};
+            }
+            return current[key];
+        }, obj);
+        parent[last] = value;
+    }
+
+    unsetNestedValue(obj, path) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const parent = keys.length > 0 ? this.getNestedValue(obj, keys.join('.')) : obj;
+        if (typeof parent === 'object' && parent !== null) {
+            delete parent[last];
+        }
     }
 
     getNestedValue(obj, path) {
@@ -282,18 +1281,161 @@ class JsonDatabase {
             return 0;
         });
     }
+}
 
-    searchInObject(obj, searchTerm) {
-        for (const value of Object.values(obj)) {
-            if (typeof value === 'string' && value.toLowerCase().includes(searchTerm)) {
-                return true;
-            }
-            if (typeof value === 'object' && value !== null && this.searchInObject(value, searchTerm)) {
-                return true;
-            }
+// Transação: trava o diretório e cada coleção no primeiro uso, trabalha sobre cópias em memória
+class Transaction {
+    constructor(origin) {
+        this.origin = origin;
+        this.dbPath = origin.dbPath;
+        this.storage = origin.storage;
+        this.databases = new Map([[origin.collectionName, origin]]);
+        this.states = new Map();
+        this.releases = [];
+        this.directoryLock = null;
+        this.finished = false;
+    }
+
+    collection(name) {
+        return new TransactionCollection(this, name);
+    }
+
+    async load(name) {
+        if (this.finished) {
+            throw new Error('Transação já finalizada');
         }
-        return false;
+        if (!this.states.has(name)) {
+            this.states.set(name, this.lockCollection(name));
+        }
+        return this.states.get(name);
+    }
+
+    async lockCollection(name) {
+        // Transações são serializadas pelo lock do diretório, o que evita deadlock entre elas
+        if (!this.directoryLock) {
+            this.directoryLock = this.storage.lockDirectory();
+            this.releases.push(() => this.directoryLock.then(release => release(), () => {}));
+        }
+        await this.directoryLock;
+
+        if (!this.databases.has(name)) {
+            const opened = registryFor(openDatabases, this.storage).get(name);
+            this.databases.set(name, opened || new JsonDatabase(this.dbPath, name, { storage: this.storage }));
+        }
+        const db = this.databases.get(name);
+
+        const release = await db.acquireWriteLock();
+        this.releases.push(release);
+
+        return { db, ...(await db.loadState()) };
+    }
+
+    // Grava todas as coleções alteradas de uma vez; a atomicidade fica a cargo do adaptador
+    async commit() {
+        const states = await Promise.all([...this.states.values()]);
+        const changed = states.filter(state => state.changes.length > 0);
+        this.finished = true;
+
+        if (changed.length === 0) {
+            return;
+        }
+
+        await this.storage.commit(changed.map(({ db, documents, index, changes }) => ({
+            name: db.collectionName,
+            documents,
+            index,
+            changes
+        })));
+
+        changed.forEach(({ db, changes }) => db.emitChanges(changes));
+    }
+
+    async release() {
+        this.finished = true;
+
+        // Coleções na ordem inversa, o diretório por último
+        for (const release of this.releases.reverse()) {
+            await release();
+        }
+        this.releases = [];
+    }
+}
+
+// Coleção vista de dentro de uma transação; mesma interface de leitura/escrita do JsonDatabase
+class TransactionCollection {
+    constructor(transaction, name) {
+        this.transaction = transaction;
+        this.name = name;
+    }
+
+    // Documentos visíveis: sem os que estão na lixeira, exceto com includeDeleted
+    async visible({ includeDeleted = false } = {}) {
+        const { db, documents } = await this.transaction.load(this.name);
+        return includeDeleted ? documents : documents.filter(doc => !db.isDeleted(doc));
+    }
+
+    async findById(id, options = {}) {
+        const document = (await this.visible(options)).find(doc => doc.id === id);
+        return document ? clone(document) : null;
+    }
+
+    async find(filter = {}, options = {}) {
+        const { db } = await this.transaction.load(this.name);
+        const matches = (await this.visible(options)).filter(doc => db.matchesFilter(doc, filter));
+        return db.applyFindOptions(matches, options).map(clone);
+    }
+
+    async findOne(filter = {}, options = {}) {
+        const [document] = await this.find(filter, { ...options, limit: 1 });
+        return document || null;
+    }
+
+    async count(filter = {}, options = {}) {
+        const { db } = await this.transaction.load(this.name);
+        return (await this.visible(options)).filter(doc => db.matchesFilter(doc, filter)).length;
+    }
+
+    async create(data) {
+        const state = await this.transaction.load(this.name);
+        const document = state.db.insertDocument(state, data);
+        return clone(document);
+    }
+
+    async update(id, updates, options = {}) {
+        const state = await this.transaction.load(this.name);
+        const document = state.db.replaceDocument(state, id, updates, options);
+        return document ? clone(document) : null;
+    }
+
+    async delete(id, options = {}) {
+        const state = await this.transaction.load(this.name);
+        const removed = state.db.removeDocument(state, id, options);
+        return Boolean(removed);
+    }
+
+    async restore(id, options = {}) {
+        const state = await this.transaction.load(this.name);
+        const document = state.db.restoreDocument(state, id, options);
+        return document ? clone(document) : null;
+    }
+
+    // Definições dos índices da coleção: { campo: { unique } }
+    async indexes() {
+        const { index } = await this.transaction.load(this.name);
+        const definitions = {};
+        Object.entries(index.fields).forEach(([field, { unique }]) => {
+            definitions[field] = { unique };
+        });
+        return definitions;
+    }
+
+    async replaceAll(documents, { indexes } = {}) {
+        const state = await this.transaction.load(this.name);
+        state.db.replaceAllDocuments(state, documents, indexes);
     }
 }
 
-module.exports = JsonDatabase;
\ No newline at end of file
+module.exports = JsonDatabase;
+module.exports.CorruptCollectionError = CorruptCollectionError;
+module.exports.UniqueConstraintError = UniqueConstraintError;
+module.exports.VersionConflictError = VersionConflictError;
\ No newline at end of file
@@ -0,0 +1,236 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const JsonDatabase = require('./JsonDatabase');
+const { getDefaultStorage } = require('./storage');
+
+// Backups dos bancos dos serviços: cada snapshot é um diretório <BACKUP_DIR>/<id> com
+// manifest.json (coleções, quantidade de documentos, índices e sha256) e um arquivo por
+// coleção em <serviço>/<coleção>.json. Os dados são lidos e gravados pelo JsonDatabase,
+// dentro de uma transação por serviço: o snapshot de um serviço é consistente entre coleções.
+const SERVICES_DIR = path.join(__dirname, '..', 'services');
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, '..', 'backups');
+const MANIFEST_FILE = 'manifest.json';
+
+class BackupNotFoundError extends Error {
+  constructor(id) {
+    super(`Backup não encontrado: ${id}`);
+    this.name = 'BackupNotFoundError';
+    this.id = id;
+  }
+}
+
+class BackupIntegrityError extends Error {
+  constructor(id, file, reason) {
+    super(`Backup ${id} inválido: ${file} (${reason})`);
+    this.name = 'BackupIntegrityError';
+    this.id = id;
+    this.file = file;
+  }
+}
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function databasePath(service) {
+  return path.join(SERVICES_DIR, service, 'database');
+}
+
+// Serviços com diretório de banco
+async function listServices() {
+  const entries = await fs.readdir(SERVICES_DIR, { withFileTypes: true });
+  const services = [];
+  for (const entry of entries) {
+    if (entry.isDirectory() && await fs.pathExists(databasePath(entry.name))) {
+      services.push(entry.name);
+    }
+  }
+  return services.sort();
+}
+
+async function resolveServices(services) {
+  const available = await listServices();
+  if (!services || services.length === 0) return available;
+
+  const unknown = services.filter(service => !available.includes(service));
+  if (unknown.length > 0) {
+    throw new Error(`Serviço(s) desconhecido(s): ${unknown.join(', ')}`);
+  }
+  return services;
+}
+
+// Transação no banco do serviço; as coleções são travadas à medida que work as usa
+async function withServiceTransaction(service, names, work) {
+  const db = new JsonDatabase(databasePath(service), names[0]);
+  await db.ready;
+  return db.transaction(work);
+}
+
+async function snapshotService(service) {
+  const names = await getDefaultStorage(databasePath(service)).listCollections();
+  if (names.length === 0) return {};
+
+  return withServiceTransaction(service, names, async tx => {
+    const collections = {};
+    for (const name of names) {
+      const collection = tx.collection(name);
+      collections[name] = {
+        documents: await collection.find({}, { includeDeleted: true }),
+        indexes: await collection.indexes()
+      };
+    }
+    return collections;
+  });
+}
+
+// Cria um snapshot dos serviços indicados (todos, se omitido) e retorna o manifesto
+async function createBackup({ services, label } = {}) {
+  const selected = await resolveServices(services);
+  const createdAt = new Date().toISOString();
+  const id = `${createdAt.replace(/[:.]/g, '-')}-${uuidv4().slice(0, 8)}`;
+
+  // Gravado em um diretório temporário e renomeado só depois do manifesto
+  const stagingDir = path.join(BACKUP_DIR, `${id}.partial`);
+  await fs.ensureDir(stagingDir);
+
+  try {
+    const manifest = { id, createdAt, label: label || null, services: {} };
+
+    for (const service of selected) {
+      const collections = await snapshotService(service);
+      manifest.services[service] = { collections: {} };
+
+      for (const [name, { documents, indexes }] of Object.entries(collections)) {
+        const file = `${service}/${name}.json`;
+        const content = JSON.stringify(documents, null, 2);
+        await fs.outputFile(path.join(stagingDir, file), content);
+
+        manifest.services[service].collections[name] = {
+          file,
+          documents: documents.length,
+          indexes,
+          sha256: sha256(content)
+        };
+      }
+    }
+
+    await fs.writeJson(path.join(stagingDir, MANIFEST_FILE), manifest, { spaces: 2 });
+    await fs.rename(stagingDir, path.join(BACKUP_DIR, id));
+
+    console.log(`Backup criado: ${id} (${selected.join(', ')})`);
+    return manifest;
+  } catch (error) {
+    await fs.remove(stagingDir).catch(() => {});
+    throw error;
+  }
+}
+
+async function readManifest(id) {
+  // O id vira caminho: nada além do nome de um diretório de backup
+  if (!/^[\w.-]+$/.test(id) || id.endsWith('.partial')) {
+    throw new BackupNotFoundError(id);
+  }
+
+  try {
+    return await fs.readJson(path.join(BACKUP_DIR, id, MANIFEST_FILE));
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new BackupNotFoundError(id);
+    throw new BackupIntegrityError(id, MANIFEST_FILE, error.message);
+  }
+}
+
+// Backups disponíveis, do mais recente para o mais antigo
+async function listBackups() {
+  if (!(await fs.pathExists(BACKUP_DIR))) return [];
+
+  const backups = [];
+  for (const id of await fs.readdir(BACKUP_DIR)) {
+    if (id.endsWith('.partial')) continue;
+    try {
+      const manifest = await readManifest(id);
+      backups.push({
+        id: manifest.id,
+        createdAt: manifest.createdAt,
+        label: manifest.label,
+        services: Object.fromEntries(Object.entries(manifest.services).map(([service, { collections }]) => [
+          service,
+          Object.fromEntries(Object.entries(collections).map(([name, entry]) => [name, entry.documents]))
+        ]))
+      });
+    } catch (error) {
+      console.warn(`Backup ignorado (${id}):`, error.message);
+    }
+  }
+  return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Lê e confere os arquivos do backup; nenhum dado é alterado se algum checksum não bater
+async function loadBackupData(manifest, services) {
+  const data = {};
+  for (const service of services) {
+    data[service] = {};
+    for (const [name, entry] of Object.entries(manifest.services[service].collections)) {
+      let content;
+      try {
+        content = await fs.readFile(path.join(BACKUP_DIR, manifest.id, entry.file), 'utf8');
+      } catch (error) {
+        throw new BackupIntegrityError(manifest.id, entry.file, error.message);
+      }
+      if (sha256(content) !== entry.sha256) {
+        throw new BackupIntegrityError(manifest.id, entry.file, 'checksum não confere');
+      }
+      data[service][name] = { documents: JSON.parse(content), indexes: entry.indexes };
+    }
+  }
+  return data;
+}
+
+// Restaura os serviços indicados (todos os do backup, se omitido). Coleções criadas depois
+// do snapshot ficam vazias. Por padrão o estado atual é salvo antes em um novo backup.
+async function restoreBackup(id, { services, safetyBackup = true } = {}) {
+  const manifest = await readManifest(id);
+  const selected = services && services.length > 0 ? services : Object.keys(manifest.services);
+
+  const missing = selected.filter(service => !manifest.services[service]);
+  if (missing.length > 0) {
+    throw new Error(`Serviço(s) ausente(s) no backup ${id}: ${missing.join(', ')}`);
+  }
+  await resolveServices(selected);
+
+  const data = await loadBackupData(manifest, selected);
+  const previous = safetyBackup
+    ? await createBackup({ services: selected, label: `antes de restaurar ${id}` })
+    : null;
+
+  const restored = {};
+  for (const service of selected) {
+    const current = await getDefaultStorage(databasePath(service)).listCollections();
+    const names = [...new Set([...Object.keys(data[service]), ...current])].sort();
+    if (names.length === 0) continue;
+
+    await withServiceTransaction(service, names, async tx => {
+      for (const name of names) {
+        const { documents, indexes } = data[service][name] || { documents: [] };
+        await tx.collection(name).replaceAll(documents, { indexes });
+      }
+    });
+
+    restored[service] = Object.fromEntries(names.map(name => [name, (data[service][name] || { documents: [] }).documents.length]));
+  }
+
+  console.log(`Backup restaurado: ${id} (${selected.join(', ')})`);
+  return { id, restored, safetyBackup: previous ? previous.id : null };
+}
+
+module.exports = {
+  BACKUP_DIR,
+  BackupNotFoundError,
+  BackupIntegrityError,
+  listServices,
+  createBackup,
+  listBackups,
+  readManifest,
+  restoreBackup
+};
@@ -0,0 +1,447 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+// Broker AMQP mínimo em memória, para rodar o sistema sem RabbitMQ. Implementa o que
+// shared/rabbitmq e shared/deadLetters usam: exchanges topic/fanout/direct (e o exchange
+// padrão ''), filas com dead-letter exchange, filas exclusivas (removidas quando a conexão
+// dona fecha), expiração por mensagem e por fila (x-message-ttl), prefetch, ack/nack e get.
+// LocalConnection/LocalChannel imitam a API de conexão e canal (confirm) do amqplib.
+// Não há persistência: mensagens somem quando o processo do broker termina.
+class BrokerError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BrokerError';
+    }
+}
+
+// Routing keys de exchanges topic: '*' casa uma palavra e '#' zero ou mais
+function topicMatches(pattern, routingKey) {
+    const match = (patternWords, keyWords) => {
+        if (patternWords.length === 0) return keyWords.length === 0;
+
+        const [word, ...rest] = patternWords;
+        if (word === '#') {
+            for (let skip = 0; skip <= keyWords.length; skip++) {
+                if (match(rest, keyWords.slice(skip))) return true;
+            }
+            return false;
+        }
+        if (keyWords.length === 0) return false;
+        return (word === '*' || word === keyWords[0]) && match(rest, keyWords.slice(1));
+    };
+    return match(pattern.split('.'), routingKey.split('.'));
+}
+
+function cloneProperties(properties) {
+    return JSON.parse(JSON.stringify(properties));
+}
+
+class LocalBroker {
+    constructor() {
+        // O exchange padrão ('') entrega na fila de mesmo nome da routing key
+        this.exchanges = new Map([['', { type: 'direct', bindings: [] }]]);
+        this.queues = new Map();
+    }
+
+    assertExchange(name, type = 'topic') {
+        const existing = this.exchanges.get(name);
+        if (existing && existing.type !== type) {
+            throw new BrokerError(`PRECONDITION_FAILED - exchange '${name}' já existe com tipo ${existing.type}`);
+        }
+        if (!existing) {
+            this.exchanges.set(name, { type, bindings: [] });
+        }
+        return { exchange: name };
+    }
+
+    // owner: conexão dona de uma fila exclusive
+    assertQueue(name, options = {}, owner = null) {
+        const queueName = name || `amq.gen-${crypto.randomUUID()}`;
+        if (!this.queues.has(queueName)) {
+            this.queues.set(queueName, {
+                name: queueName,
+                owner: options.exclusive ? owner : null,
+                deadLetterExchange: options.deadLetterExchange,
+                deadLetterRoutingKey: options.deadLetterRoutingKey,
+                messageTtl: options.messageTtl,
+                messages: [],
+                consumers: [],
+                nextConsumer: 0
+            });
+        }
+        return this.checkQueue(queueName);
+    }
+
+    checkQueue(name) {
+        const queue = this.getQueue(name);
+        return { queue: name, messageCount: queue.messages.length, consumerCount: queue.consumers.length };
+    }
+
+    deleteQueue(name) {
+        const queue = this.getQueue(name);
+        queue.messages.forEach(message => clearTimeout(message.expiryTimer));
+        this.queues.delete(name);
+        this.exchanges.forEach((exchange) => {
+            exchange.bindings = exchange.bindings.filter(binding => binding.queue !== name);
+        });
+        return { messageCount: queue.messages.length };
+    }
+
+    deleteExclusiveQueues(owner) {
+        [...this.queues.values()]
+            .filter(queue => queue.owner === owner)
+            .forEach(queue => this.deleteQueue(queue.name));
+    }
+
+    purgeQueue(name) {
+        const queue = this.getQueue(name);
+        const removed = queue.messages.splice(0);
+        removed.forEach(message => clearTimeout(message.expiryTimer));
+        return { messageCount: removed.length };
+    }
+
+    bindQueue(queue, exchange, pattern = '') {
+        this.getQueue(queue);
+        const bindings = this.getExchange(exchange).bindings;
+        if (!bindings.some(binding => binding.queue === queue && binding.pattern === pattern)) {
+            bindings.push({ queue, pattern });
+        }
+        return {};
+    }
+
+    unbindQueue(queue, exchange, pattern = '') {
+        const target = this.getExchange(exchange);
+        target.bindings = target.bindings.filter(binding => !(binding.queue === queue && binding.pattern === pattern));
+        return {};
+    }
+
+    getQueue(name) {
+        const queue = this.queues.get(name);
+        if (!queue) throw new BrokerError(`NOT_FOUND - no queue '${name}'`);
+        return queue;
+    }
+
+    getExchange(name) {
+        const exchange = this.exchanges.get(name);
+        if (!exchange) throw new BrokerError(`NOT_FOUND - no exchange '${name}'`);
+        return exchange;
+    }
+
+    route(exchangeName, routingKey) {
+        const exchange = this.getExchange(exchangeName);
+        if (exchangeName === '') {
+            return this.queues.has(routingKey) ? [routingKey] : [];
+        }
+
+        const queues = exchange.bindings
+            .filter(({ pattern }) => {
+                if (exchange.type === 'fanout') return true;
+                if (exchange.type === 'topic') return topicMatches(pattern, routingKey);
+                return pattern === routingKey;
+            })
+            .map(binding => binding.queue);
+        return [...new Set(queues)];
+    }
+
+    // Publica com as propriedades já no formato de mensagem (headers, messageId, expiration...)
+    publish(exchange, routingKey, content, properties = {}) {
+        const queues = this.route(exchange, routingKey);
+        queues.forEach((queueName) => {
+            this.enqueue(this.queues.get(queueName), {
+                content: Buffer.from(content),
+                properties: cloneProperties(properties),
+                exchange,
+                routingKey,
+                redelivered: false
+            });
+        });
+        return queues.length;
+    }
+
+    enqueue(queue, message, { front = false } = {}) {
+        // Vale o menor entre a expiração da mensagem e o x-message-ttl da fila
+        if (message.expiresAt === undefined) {
+            const ttls = [message.properties.expiration, queue.messageTtl]
+                .filter(ttl => ttl !== undefined)
+                .map(Number);
+            if (ttls.length > 0) message.expiresAt = Date.now() + Math.min(...ttls);
+        }
+
+        if (message.expiresAt !== undefined) {
+            if (message.expiresAt <= Date.now()) {
+                return this.deadLetter(queue, message, 'expired');
+            }
+            message.expiryTimer = setTimeout(() => this.expire(queue, message), message.expiresAt - Date.now());
+            message.expiryTimer.unref();
+        }
+
+        if (front) {
+            queue.messages.unshift(message);
+        } else {
+            queue.messages.push(message);
+        }
+        this.dispatch(queue);
+    }
+
+    // Retira a próxima mensagem pronta da fila (entregue a um consumidor ou a get)
+    take(queue) {
+        const message = queue.messages.shift();
+        if (message) clearTimeout(message.expiryTimer);
+        return message;
+    }
+
+    expire(queue, message) {
+        const position = queue.messages.indexOf(message);
+        if (position === -1) return;
+        queue.messages.splice(position, 1);
+        this.deadLetter(queue, message, 'expired');
+    }
+
+    // Sem dead-letter exchange a mensagem é descartada, como no RabbitMQ
+    deadLetter(queue, message, reason) {
+        if (queue.deadLetterExchange === undefined || !this.exchanges.has(queue.deadLetterExchange)) {
+            return;
+        }
+
+        const routingKey = queue.deadLetterRoutingKey || message.routingKey;
+        const headers = { ...message.properties.headers };
+        const deaths = headers['x-death'] || [];
+        const previous = deaths.find(death => death.queue === queue.name && death.reason === reason);
+        headers['x-death'] = [
+            { queue: queue.name, reason, count: previous ? previous.count + 1 : 1, exchange: message.exchange, 'routing-keys': [message.routingKey] },
+            ...deaths.filter(death => death !== previous)
+        ];
+
+        const { expiration, ...properties } = message.properties;
+        this.publish(queue.deadLetterExchange, routingKey, message.content, { ...properties, headers });
+    }
+
+    // Entrega às assinaturas com capacidade (prefetch), em rodízio
+    dispatch(queue) {
+        while (queue.messages.length > 0) {
+            const available = queue.consumers.filter(consumer => consumer.channel.hasCapacity());
+            if (available.length === 0) return;
+
+            const consumer = available[queue.nextConsumer++ % available.length];
+            consumer.channel.deliver(queue, consumer, this.take(queue));
+        }
+    }
+
+    requeue(queue, message) {
+        if (!this.queues.has(queue.name)) return;
+        this.enqueue(queue, { ...message, redelivered: true }, { front: true });
+    }
+}
+
+class LocalChannel extends EventEmitter {
+    constructor(connection) {
+        super();
+        this.connection = connection;
+        this.broker = connection.broker;
+        this.closed = false;
+        this.prefetchCount = 0;
+        this.nextDeliveryTag = 1;
+        this.unacked = new Map();
+        this.consumers = new Map();
+    }
+
+    // Operações do broker são síncronas; a API é assíncrona como no amqplib
+    async run(operation) {
+        this.assertOpen();
+        return operation();
+    }
+
+    assertOpen() {
+        if (this.closed) throw new BrokerError('Channel closed');
+    }
+
+    assertExchange(name, type) { return this.run(() => this.broker.assertExchange(name, type)); }
+    assertQueue(name, options) { return this.run(() => this.broker.assertQueue(name, options, this.connection)); }
+    checkQueue(name) { return this.run(() => this.broker.checkQueue(name)); }
+    deleteQueue(name) { return this.run(() => this.broker.deleteQueue(name)); }
+    purgeQueue(name) { return this.run(() => this.broker.purgeQueue(name)); }
+    bindQueue(queue, exchange, pattern) { return this.run(() => this.broker.bindQueue(queue, exchange, pattern)); }
+    unbindQueue(queue, exchange, pattern) { return this.run(() => this.broker.unbindQueue(queue, exchange, pattern)); }
+
+    async prefetch(count) {
+        this.assertOpen();
+        this.prefetchCount = count;
+        this.consumedQueues().forEach(queue => this.broker.dispatch(queue));
+    }
+
+    // Como no canal confirm do amqplib: cb(err) quando o broker aceitou (ou recusou) a mensagem
+    publish(exchange, routingKey, content, options = {}, cb) {
+        this.assertOpen();
+
+        const { persistent, mandatory, ...properties } = options;
+        if (persistent) properties.deliveryMode = 2;
+        Object.keys(properties).forEach((key) => {
+            if (properties[key] === undefined) delete properties[key];
+        });
+
+        let error = null;
+        try {
+            this.broker.publish(exchange, routingKey, content, properties);
+        } catch (publishError) {
+            error = publishError;
+        }
+        if (cb) setImmediate(() => cb(error));
+        return true;
+    }
+
+    sendToQueue(queue, content, options, cb) {
+        return this.publish('', queue, content, options, cb);
+    }
+
+    async waitForConfirms() {}
+
+    async consume(queueName, callback, { consumerTag, noAck = false } = {}) {
+        this.assertOpen();
+        const queue = this.broker.getQueue(queueName);
+        const consumer = { tag: consumerTag || `amq.ctag-${crypto.randomUUID()}`, channel: this, callback, noAck };
+
+        queue.consumers.push(consumer);
+        this.consumers.set(consumer.tag, { queue, consumer });
+        setImmediate(() => this.broker.dispatch(queue));
+        return { consumerTag: consumer.tag };
+    }
+
+    async cancel(consumerTag) {
+        const entry = this.consumers.get(consumerTag);
+        if (!entry) return {};
+
+        entry.queue.consumers = entry.queue.consumers.filter(consumer => consumer !== entry.consumer);
+        this.consumers.delete(consumerTag);
+        setImmediate(() => entry.consumer.callback(null));
+        return { consumerTag };
+    }
+
+    async get(queueName, { noAck = false } = {}) {
+        this.assertOpen();
+        const queue = this.broker.getQueue(queueName);
+        const message = this.broker.take(queue);
+        if (!message) return false;
+
+        const msg = this.toMessage(message, { messageCount: queue.messages.length });
+        if (!noAck) this.unacked.set(msg.fields.deliveryTag, { queue, message });
+        return msg;
+    }
+
+    hasCapacity() {
+        return !this.closed && (this.prefetchCount === 0 || this.unacked.size < this.prefetchCount);
+    }
+
+    deliver(queue, consumer, message) {
+        const msg = this.toMessage(message, { consumerTag: consumer.tag });
+        if (!consumer.noAck) this.unacked.set(msg.fields.deliveryTag, { queue, message });
+        setImmediate(() => consumer.callback(msg));
+    }
+
+    toMessage(message, fields) {
+        return {
+            content: message.content,
+            fields: {
+                ...fields,
+                deliveryTag: this.nextDeliveryTag++,
+                redelivered: message.redelivered,
+                exchange: message.exchange,
+                routingKey: message.routingKey
+            },
+            properties: cloneProperties(message.properties)
+        };
+    }
+
+    // Entregas confirmadas por msg (e, com allUpTo, todas as anteriores a ela)
+    settle(msg, allUpTo, action) {
+        this.assertOpen();
+        const tag = msg.fields.deliveryTag;
+        const tags = allUpTo ? [...this.unacked.keys()].filter(candidate => candidate <= tag) : [tag];
+
+        const queues = new Set();
+        tags.forEach((deliveryTag) => {
+            const entry = this.unacked.get(deliveryTag);
+            if (!entry) return;
+            this.unacked.delete(deliveryTag);
+            action(entry);
+            queues.add(entry.queue);
+        });
+        new Set([...queues, ...this.consumedQueues()]).forEach(queue => this.broker.dispatch(queue));
+    }
+
+    ack(msg, allUpTo = false) {
+        this.settle(msg, allUpTo, () => {});
+    }
+
+    nack(msg, allUpTo = false, requeue = true) {
+        this.settle(msg, allUpTo, ({ queue, message }) => {
+            if (requeue) {
+                this.broker.requeue(queue, message);
+            } else {
+                this.broker.deadLetter(queue, message, 'rejected');
+            }
+        });
+    }
+
+    reject(msg, requeue = true) {
+        this.nack(msg, false, requeue);
+    }
+
+    consumedQueues() {
+        return [...this.consumers.values()].map(entry => entry.queue);
+    }
+
+    // Mensagens não confirmadas voltam para as filas, como quando um canal AMQP fecha
+    async close() {
+        if (this.closed) return;
+
+        [...this.consumers.keys()].forEach((tag) => {
+            const { queue, consumer } = this.consumers.get(tag);
+            queue.consumers = queue.consumers.filter(candidate => candidate !== consumer);
+        });
+        this.consumers.clear();
+
+        this.closed = true;
+        const pending = [...this.unacked.values()].reverse();
+        this.unacked.clear();
+        pending.forEach(({ queue, message }) => this.broker.requeue(queue, message));
+
+        this.connection.channels.delete(this);
+        this.emit('close');
+    }
+}
+
+class LocalConnection extends EventEmitter {
+    constructor(broker) {
+        super();
+        this.broker = broker;
+        this.channels = new Set();
+        this.closed = false;
+    }
+
+    async createChannel() {
+        if (this.closed) throw new BrokerError('Connection closed');
+        const channel = new LocalChannel(this);
+        this.channels.add(channel);
+        return channel;
+    }
+
+    async createConfirmChannel() {
+        return this.createChannel();
+    }
+
+    async close() {
+        if (this.closed) return;
+        this.closed = true;
+        await Promise.all([...this.channels].map(channel => channel.close()));
+        this.broker.deleteExclusiveQueues(this);
+        this.emit('close');
+    }
+}
+
+module.exports = {
+    LocalBroker,
+    LocalConnection,
+    LocalChannel,
+    BrokerError,
+    topicMatches
+};
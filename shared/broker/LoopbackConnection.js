@@ -0,0 +1,212 @@
+const EventEmitter = require('events');
+const net = require('net');
+const crypto = require('crypto');
+const { decodeMessage, decodeLines } = require('./protocol');
+
+// Cliente do LoopbackServer com a mesma API de conexão/canal do amqplib usada pelo
+// shared/rabbitmq. Se o socket cair, conexão e canais emitem 'close' (e o shared/rabbitmq
+// reconecta como faria com o RabbitMQ).
+class LoopbackChannel extends EventEmitter {
+    constructor(connection, id) {
+        super();
+        this.connection = connection;
+        this.id = id;
+        this.closed = false;
+        this.consumers = new Map();
+    }
+
+    request(method, args, { reply = true } = {}) {
+        if (this.closed) {
+            return Promise.reject(new Error('Channel closed'));
+        }
+        return this.connection.request(this.id, method, args, { reply });
+    }
+
+    assertExchange(...args) { return this.request('assertExchange', args); }
+    assertQueue(...args) { return this.request('assertQueue', args); }
+    checkQueue(...args) { return this.request('checkQueue', args); }
+    deleteQueue(...args) { return this.request('deleteQueue', args); }
+    purgeQueue(...args) { return this.request('purgeQueue', args); }
+    bindQueue(...args) { return this.request('bindQueue', args); }
+    unbindQueue(...args) { return this.request('unbindQueue', args); }
+    prefetch(...args) { return this.request('prefetch', args); }
+
+    publish(exchange, routingKey, content, options = {}, cb) {
+        if (this.closed) throw new Error('Channel closed');
+
+        this.request('publish', [exchange, routingKey, Buffer.from(content).toString('base64'), options])
+            .then(() => cb && cb(null), error => cb && cb(error));
+        return true;
+    }
+
+    sendToQueue(queue, content, options, cb) {
+        return this.publish('', queue, content, options, cb);
+    }
+
+    async waitForConfirms() {}
+
+    // A tag é escolhida aqui para que entregas que cheguem antes da resposta já tenham destino
+    async consume(queue, callback, options = {}) {
+        const consumerTag = options.consumerTag || `amq.ctag-${crypto.randomUUID()}`;
+        this.consumers.set(consumerTag, callback);
+        try {
+            return await this.request('consume', [queue, { ...options, consumerTag }]);
+        } catch (error) {
+            this.consumers.delete(consumerTag);
+            throw error;
+        }
+    }
+
+    async cancel(consumerTag) {
+        return this.request('cancel', [consumerTag]);
+    }
+
+    async get(queue, options = {}) {
+        const msg = await this.request('get', [queue, options]);
+        return msg ? decodeMessage(msg) : false;
+    }
+
+    ack(msg, allUpTo = false) {
+        this.settle('ack', [msg.fields.deliveryTag, allUpTo]);
+    }
+
+    nack(msg, allUpTo = false, requeue = true) {
+        this.settle('nack', [msg.fields.deliveryTag, allUpTo, requeue]);
+    }
+
+    reject(msg, requeue = true) {
+        this.settle('reject', [msg.fields.deliveryTag, requeue]);
+    }
+
+    settle(method, args) {
+        if (this.closed) throw new Error('Channel closed');
+        this.request(method, args, { reply: false });
+    }
+
+    async close() {
+        if (this.closed) return;
+        await this.request('close', []).catch(() => {});
+        this.handleClose();
+    }
+
+    handleDelivery(consumerTag, msg) {
+        const callback = this.consumers.get(consumerTag);
+        if (!callback) return;
+        if (!msg) this.consumers.delete(consumerTag);
+        callback(decodeMessage(msg));
+    }
+
+    handleClose() {
+        if (this.closed) return;
+        this.closed = true;
+        this.connection.channels.delete(this.id);
+        this.emit('close');
+    }
+}
+
+class LoopbackConnection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.channels = new Map();
+        this.pending = new Map();
+        this.nextId = 1;
+        this.closed = false;
+
+        socket.setEncoding('utf8');
+        socket.on('data', decodeLines(frame => this.handleFrame(frame), (error) => {
+            this.emit('error', error);
+            socket.destroy();
+        }));
+        socket.on('error', error => this.emit('error', error));
+        socket.on('close', () => this.handleClose());
+    }
+
+    // url: local://host:porta (ou tcp://)
+    static connect(url) {
+        const { hostname, port } = new URL(url);
+        return new Promise((resolve, reject) => {
+            const socket = net.connect({ host: hostname || '127.0.0.1', port: Number(port) });
+            socket.once('error', reject);
+            socket.once('connect', () => {
+                socket.off('error', reject);
+                resolve(new LoopbackConnection(socket));
+            });
+        });
+    }
+
+    request(channel, method, args, { reply = true } = {}) {
+        if (this.closed) {
+            return Promise.reject(new Error('Connection closed'));
+        }
+
+        const frame = { channel, method, args };
+        if (!reply) {
+            this.socket.write(`${JSON.stringify(frame)}\n`);
+            return Promise.resolve();
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.socket.write(`${JSON.stringify({ id, ...frame })}\n`);
+        });
+    }
+
+    handleFrame(frame) {
+        if (frame.event === 'deliver') {
+            const channel = this.channels.get(frame.channel);
+            if (channel) channel.handleDelivery(frame.consumerTag, frame.msg);
+            return;
+        }
+        if (frame.event === 'close') {
+            const channel = this.channels.get(frame.channel);
+            if (channel) channel.handleClose();
+            return;
+        }
+
+        const pending = this.pending.get(frame.id);
+        if (!pending) return;
+        this.pending.delete(frame.id);
+        if (frame.error) {
+            pending.reject(new Error(frame.error));
+        } else {
+            pending.resolve(frame.result);
+        }
+    }
+
+    async createChannel() {
+        const id = this.nextId++;
+        const channel = new LoopbackChannel(this, id);
+        this.channels.set(id, channel);
+        try {
+            await this.request(id, 'open', []);
+        } catch (error) {
+            this.channels.delete(id);
+            throw error;
+        }
+        return channel;
+    }
+
+    async createConfirmChannel() {
+        return this.createChannel();
+    }
+
+    async close() {
+        if (this.closed) return;
+        await new Promise(resolve => this.socket.end(resolve));
+        this.handleClose();
+    }
+
+    handleClose() {
+        if (this.closed) return;
+        this.closed = true;
+
+        this.pending.forEach(({ reject }) => reject(new Error('Connection closed')));
+        this.pending.clear();
+        [...this.channels.values()].forEach(channel => channel.handleClose());
+        this.emit('close');
+    }
+}
+
+module.exports = LoopbackConnection;
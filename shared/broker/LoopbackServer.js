@@ -0,0 +1,112 @@
+const net = require('net');
+const { LocalBroker, LocalConnection } = require('./LocalBroker');
+const { encodeMessage, decodeLines } = require('./protocol');
+
+// Expõe um LocalBroker em uma porta TCP local para que serviços e workers em processos
+// separados compartilhem as mesmas filas (transporte 'local' do shared/rabbitmq).
+// Cada socket é uma conexão; seus canais são fechados (e as entregas devolvidas às
+// filas) quando o cliente desconecta.
+class LoopbackServer {
+    constructor(broker = new LocalBroker()) {
+        this.broker = broker;
+        this.sockets = new Set();
+        this.server = net.createServer(socket => this.handleSocket(socket));
+    }
+
+    listen(port, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                resolve(this.server.address());
+            });
+        });
+    }
+
+    async close() {
+        this.sockets.forEach(socket => socket.destroy());
+        await new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    handleSocket(socket) {
+        const connection = new LocalConnection(this.broker);
+        const channels = new Map();
+        this.sockets.add(socket);
+        socket.setEncoding('utf8');
+
+        const send = (frame) => {
+            if (!socket.destroyed) socket.write(`${JSON.stringify(frame)}\n`);
+        };
+
+        socket.on('data', decodeLines(async (request) => {
+            try {
+                const result = await this.execute(connection, channels, request, send);
+                if (request.id !== undefined) send({ id: request.id, result });
+            } catch (error) {
+                if (request.id !== undefined) send({ id: request.id, error: error.message });
+            }
+        }, () => socket.destroy()));
+        socket.on('error', () => {});
+        socket.on('close', () => {
+            this.sockets.delete(socket);
+            connection.close();
+        });
+    }
+
+    async execute(connection, channels, { channel: channelId, method, args = [] }, send) {
+        if (method === 'open') {
+            const channel = await connection.createConfirmChannel();
+            channel.on('close', () => {
+                channels.delete(channelId);
+                send({ event: 'close', channel: channelId });
+            });
+            channels.set(channelId, channel);
+            return {};
+        }
+
+        const channel = channels.get(channelId);
+        if (!channel) throw new Error('Channel closed');
+
+        switch (method) {
+            case 'publish': {
+                const [exchange, routingKey, content, options] = args;
+                return new Promise((resolve, reject) => {
+                    channel.publish(exchange, routingKey, Buffer.from(content, 'base64'), options,
+                        err => (err ? reject(err) : resolve({})));
+                });
+            }
+            case 'consume': {
+                const [queue, options] = args;
+                return channel.consume(queue, (msg) => {
+                    send({ event: 'deliver', channel: channelId, consumerTag: options.consumerTag, msg: encodeMessage(msg) });
+                }, options);
+            }
+            case 'get': {
+                const msg = await channel.get(...args);
+                return msg ? encodeMessage(msg) : false;
+            }
+            case 'ack':
+            case 'nack':
+            case 'reject': {
+                const [deliveryTag, ...rest] = args;
+                channel[method]({ fields: { deliveryTag } }, ...rest);
+                return {};
+            }
+            case 'assertExchange':
+            case 'assertQueue':
+            case 'checkQueue':
+            case 'deleteQueue':
+            case 'purgeQueue':
+            case 'bindQueue':
+            case 'unbindQueue':
+            case 'prefetch':
+            case 'cancel':
+            case 'close':
+                return (await channel[method](...args)) || {};
+            default:
+                throw new Error(`Operação desconhecida: ${method}`);
+        }
+    }
+}
+
+module.exports = LoopbackServer;
@@ -0,0 +1,56 @@
+const amqp = require('amqplib');
+const { LocalBroker, LocalConnection, LocalChannel, BrokerError, topicMatches } = require('./LocalBroker');
+const LoopbackServer = require('./LoopbackServer');
+const LoopbackConnection = require('./LoopbackConnection');
+
+// Transportes do shared/rabbitmq, escolhidos por RABBITMQ_TRANSPORT:
+//   amqp    (padrão) RabbitMQ em RABBITMQ_URL, via amqplib
+//   memory  LocalBroker dentro do processo: testes e scripts que rodam tudo num processo só
+//   local   LocalBroker compartilhado por processos da máquina, servido por npm run broker
+//           em LOCAL_BROKER_URL (padrão local://127.0.0.1:5673)
+// Todos devolvem, em connect(), uma conexão com a API do amqplib (createConfirmChannel...).
+const DEFAULT_LOCAL_BROKER_URL = 'local://127.0.0.1:5673';
+
+let processBroker = null;
+
+// Broker do transporte memory: um por processo
+function getProcessBroker() {
+    if (!processBroker) processBroker = new LocalBroker();
+    return processBroker;
+}
+
+const transports = {
+    amqp: {
+        describe: url => url,
+        connect: url => amqp.connect(url)
+    },
+    memory: {
+        describe: () => 'in-process broker',
+        connect: async () => new LocalConnection(getProcessBroker())
+    },
+    local: {
+        describe: () => `local broker at ${process.env.LOCAL_BROKER_URL || DEFAULT_LOCAL_BROKER_URL}`,
+        connect: () => LoopbackConnection.connect(process.env.LOCAL_BROKER_URL || DEFAULT_LOCAL_BROKER_URL)
+    }
+};
+
+function getTransport(type = process.env.RABBITMQ_TRANSPORT || 'amqp') {
+    const transport = transports[type];
+    if (!transport) {
+        throw new Error(`Transporte de mensageria desconhecido: ${type} (use ${Object.keys(transports).join(', ')})`);
+    }
+    return { type, ...transport };
+}
+
+module.exports = {
+    DEFAULT_LOCAL_BROKER_URL,
+    LocalBroker,
+    LocalConnection,
+    LocalChannel,
+    LoopbackServer,
+    LoopbackConnection,
+    BrokerError,
+    topicMatches,
+    getProcessBroker,
+    getTransport
+};
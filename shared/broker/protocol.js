@@ -0,0 +1,43 @@
+// Protocolo do transporte loopback: um objeto JSON por linha. Cliente → servidor:
+// { id, channel, method, args } (sem id quando não espera resposta); servidor → cliente:
+// { id, result } ou { id, error }, e os eventos { event: 'deliver' | 'close', channel, ... }.
+// O conteúdo das mensagens trafega em base64.
+function encodeMessage(msg) {
+    if (!msg) return null;
+    return { content: msg.content.toString('base64'), fields: msg.fields, properties: msg.properties };
+}
+
+function decodeMessage(msg) {
+    if (!msg) return null;
+    return { content: Buffer.from(msg.content, 'base64'), fields: msg.fields, properties: msg.properties };
+}
+
+// Listener de 'data' (socket com setEncoding('utf8')) que remonta as linhas e chama handler
+// com cada objeto. Uma linha que não é JSON chama onError e descarta o resto do fluxo
+function decodeLines(handler, onError) {
+    let pending = '';
+    let failed = false;
+    return (chunk) => {
+        if (failed) return;
+        pending += chunk;
+        const lines = pending.split('\n');
+        pending = lines.pop();
+        for (const line of lines.filter(Boolean)) {
+            let frame;
+            try {
+                frame = JSON.parse(line);
+            } catch (error) {
+                failed = true;
+                onError(new Error(`Frame inválido: ${error.message}`));
+                return;
+            }
+            handler(frame);
+        }
+    };
+}
+
+module.exports = {
+    encodeMessage,
+    decodeMessage,
+    decodeLines
+};
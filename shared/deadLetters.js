@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const rabbit = require('./rabbitmq');
+
+// Inspeção das DLQs dos consumidores de shopping_events (<fila>.dlq, criadas por subscribe).
+// AMQP não tem "espiar": as mensagens são lidas sem ack e voltam para a DLQ quando o canal
+// fecha; só as confirmadas (reenviadas ou descartadas) saem dela.
+const CONSUMER_QUEUES = (process.env.RABBITMQ_CONSUMER_QUEUES || 'notification.checkout,analytics.checkout')
+  .split(',')
+  .map(queue => queue.trim())
+  .filter(Boolean);
+const MAX_INSPECTED = 1000;
+
+// Cabeçalhos de controle de tentativas, zerados quando a mensagem é reenviada
+const RETRY_HEADERS = ['x-retry-count', 'x-last-error', 'x-dead-lettered-at', 'x-death'];
+
+class UnknownQueueError extends Error {
+  constructor(queue) {
+    super(`Fila de consumidor desconhecida: ${queue}`);
+    this.name = 'UnknownQueueError';
+    this.queue = queue;
+  }
+}
+
+class DeadLetterNotFoundError extends Error {
+  constructor(queue, id) {
+    super(`Mensagem ${id} não encontrada na DLQ de ${queue}`);
+    this.name = 'DeadLetterNotFoundError';
+    this.queue = queue;
+    this.id = id;
+  }
+}
+
+function assertKnownQueue(queue) {
+  if (!CONSUMER_QUEUES.includes(queue)) {
+    throw new UnknownQueueError(queue);
+  }
+}
+
+// Mensagens publicadas por shared/rabbitmq têm messageId; as demais são identificadas pelo conteúdo
+function messageId(msg) {
+  return msg.properties.messageId || crypto.createHash('sha1').update(msg.content).digest('hex').slice(0, 16);
+}
+
+function describe(queue, msg) {
+  const headers = msg.properties.headers || {};
+  const rejected = (headers['x-death'] || []).find(death => death.queue === queue);
+
+  return {
+    id: messageId(msg),
+    queue,
+    routingKey: headers['x-original-routing-key'] || msg.fields.routingKey,
+    reason: headers['x-last-error'] || (rejected ? rejected.reason : null),
+    attempts: headers['x-retry-count'] || 1,
+    deadLetteredAt: headers['x-dead-lettered-at'] || null
+  };
+}
+
+function decode(msg) {
+  const content = msg.content.toString();
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    return content;
+  }
+}
+
+async function openChannel() {
+  const { connection } = await rabbit.connect();
+  const ch = await connection.createConfirmChannel();
+  // Erros de canal também rejeitam a operação em andamento; sem listener derrubariam o processo
+  ch.on('error', () => {});
+  return ch;
+}
+
+// Percorre a DLQ em lotes de até MAX_INSPECTED mensagens, sem confirmá-las, entregando cada
+// lote a visit(ch, batch). As não confirmadas continuam presas ao canal, então o próximo lote
+// traz as seguintes. Para quando visit devolve true ou ao ler as messageCount mensagens que
+// havia no início (as que chegarem depois ficam para a próxima chamada).
+async function scanDeadLetters(queue, visit) {
+  assertKnownQueue(queue);
+  const { deadLetter } = rabbit.queueNames(queue);
+  const ch = await openChannel();
+
+  try {
+    const { messageCount } = await ch.checkQueue(deadLetter);
+    let scanned = 0;
+    while (scanned < messageCount) {
+      const batch = [];
+      while (batch.length < MAX_INSPECTED && scanned < messageCount) {
+        const msg = await ch.get(deadLetter, { noAck: false });
+        if (!msg) break;
+        batch.push(msg);
+        scanned++;
+      }
+      if (batch.length === 0 || await visit(ch, batch)) break;
+    }
+    return { messageCount, scanned };
+  } finally {
+    await ch.close().catch(() => {});
+  }
+}
+
+// Quantidade de mensagens na DLQ de cada consumidor (0 se a fila ainda não foi criada)
+async function listDeadLetterQueues() {
+  const ch = await openChannel();
+  try {
+    const queues = [];
+    for (const queue of CONSUMER_QUEUES) {
+      const { deadLetter } = rabbit.queueNames(queue);
+      const info = await ch.assertQueue(deadLetter, { durable: true });
+      queues.push({ queue, deadLetterQueue: deadLetter, messageCount: info.messageCount });
+    }
+    return queues;
+  } finally {
+    await ch.close().catch(() => {});
+  }
+}
+
+// Lista só o primeiro lote; truncated indica que há mais mensagens na DLQ do que as listadas
+async function listDeadLetters(queue) {
+  let messages = [];
+  const { messageCount } = await scanDeadLetters(queue, async (ch, batch) => {
+    messages = batch.map(msg => describe(queue, msg));
+    return true;
+  });
+  return { messageCount, truncated: messageCount > messages.length, messages };
+}
+
+async function getDeadLetter(queue, id) {
+  let found = null;
+  await scanDeadLetters(queue, async (ch, batch) => {
+    const msg = batch.find(candidate => messageId(candidate) === id);
+    if (msg) {
+      found = {
+        ...describe(queue, msg),
+        headers: msg.properties.headers || {},
+        payload: decode(msg)
+      };
+    }
+    return Boolean(found);
+  });
+  if (!found) {
+    throw new DeadLetterNotFoundError(queue, id);
+  }
+  return found;
+}
+
+// Aplica action(ch, msg) às mensagens escolhidas (ids ou 'all') em toda a DLQ; devolve os ids
+// processados e os que não foram encontrados
+async function forSelected(queue, ids, action) {
+  const pending = ids === 'all' ? null : new Set(ids);
+  const processed = [];
+
+  await scanDeadLetters(queue, async (ch, batch) => {
+    for (const msg of batch) {
+      const id = messageId(msg);
+      if (pending && !pending.has(id)) continue;
+      await action(ch, msg);
+      processed.push(id);
+      if (pending) pending.delete(id);
+    }
+    return Boolean(pending) && pending.size === 0;
+  });
+
+  return { processed, missing: pending ? [...pending] : [] };
+}
+
+// Devolve as mensagens escolhidas (ids ou 'all') à fila do consumidor, com as tentativas zeradas
+async function replayDeadLetters(queue, ids) {
+  const { processed: replayed, missing } = await forSelected(queue, ids, async (ch, msg) => {
+    const headers = { ...msg.properties.headers, 'x-replayed-at': new Date().toISOString() };
+    RETRY_HEADERS.forEach(header => delete headers[header]);
+
+    await new Promise((resolve, reject) => {
+      ch.sendToQueue(queue, msg.content, { ...msg.properties, persistent: true, headers },
+        err => (err ? reject(err) : resolve()));
+    });
+    ch.ack(msg);
+  });
+
+  if (replayed.length > 0) {
+    console.log(`[shared/deadLetters] ${replayed.length} mensagem(ns) reenviada(s) para ${queue}`);
+  }
+  return { replayed, missing };
+}
+
+// Remove definitivamente as mensagens escolhidas (ids ou 'all') da DLQ
+async function discardDeadLetters(queue, ids) {
+  const { processed: discarded, missing } = await forSelected(queue, ids, async (ch, msg) => {
+    ch.ack(msg);
+  });
+
+  if (discarded.length > 0) {
+    console.log(`[shared/deadLetters] ${discarded.length} mensagem(ns) descartada(s) da DLQ de ${queue}`);
+  }
+  return { discarded, missing };
+}
+
+module.exports = {
+  CONSUMER_QUEUES,
+  UnknownQueueError,
+  DeadLetterNotFoundError,
+  listDeadLetterQueues,
+  listDeadLetters,
+  getDeadLetter,
+  replayDeadLetters,
+  discardDeadLetters
+};
@@ -0,0 +1,20 @@
+// ETag / If-Match a partir do campo version dos documentos do JsonDatabase
+
+function formatETag(document) {
+  const version = Number.isInteger(document.version) ? document.version : 0;
+  return `"${version}"`;
+}
+
+// Retorna a versão esperada pelo cliente, null se não houver pré-condição (ausente ou "*")
+// ou NaN se o cabeçalho não for uma ETag emitida por estes serviços
+function parseIfMatch(header) {
+  if (!header || header.trim() === '*') return null;
+
+  const match = header.trim().match(/^(?:W\/)?"(\d+)"$/);
+  return match ? parseInt(match[1], 10) : NaN;
+}
+
+module.exports = {
+  formatETag,
+  parseIfMatch
+};
@@ -0,0 +1,82 @@
+// Schemas (subconjunto de JSON Schema validado por shared/events) do campo data de cada
+// evento de shopping_events, por routing key e versão. Mudança incompatível no formato de
+// um evento = nova versão aqui; a anterior continua registrada enquanto houver produtores
+// ou mensagens antigas em circulação.
+const dateTime = { type: 'string', format: 'date-time' };
+
+const item = {
+  type: 'object',
+  required: ['id', 'name'],
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    name: { type: 'string', minLength: 1 },
+    category: { type: ['string', 'null'] },
+    brand: { type: ['string', 'null'] },
+    unit: { type: ['string', 'null'] },
+    averagePrice: { type: 'number', minimum: 0 },
+    barcode: { type: ['string', 'null'] },
+    description: { type: ['string', 'null'] },
+    active: { type: 'boolean' },
+    createdAt: dateTime,
+    updatedAt: dateTime
+  }
+};
+
+const listItem = {
+  type: 'object',
+  required: ['itemId', 'quantity'],
+  properties: {
+    itemId: { type: 'string', minLength: 1 },
+    itemName: { type: 'string' },
+    category: { type: ['string', 'null'] },
+    quantity: { type: 'number', minimum: 0 },
+    estimatedPrice: { type: 'number', minimum: 0 },
+    purchased: { type: 'boolean' }
+  }
+};
+
+const listSummary = {
+  type: 'object',
+  properties: {
+    totalItems: { type: 'number', minimum: 0 },
+    purchasedItems: { type: 'number', minimum: 0 },
+    estimatedTotal: { type: 'number', minimum: 0 }
+  }
+};
+
+module.exports = {
+  'item.created': {
+    1: item
+  },
+  'item.updated': {
+    1: item
+  },
+  'list.checkout.completed': {
+    // v1: objeto montado à mão pelo list-service antes do envelope (a data ia em timestamp)
+    1: {
+      type: 'object',
+      required: ['id', 'userId', 'items'],
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        userId: { type: 'string', minLength: 1 },
+        userEmail: { type: ['string', 'null'] },
+        items: { type: 'array', items: listItem },
+        summary: listSummary,
+        timestamp: dateTime
+      }
+    },
+    // v2: a data do checkout é o occurredAt do envelope e o id da lista vira listId
+    2: {
+      type: 'object',
+      required: ['listId', 'userId', 'items', 'summary'],
+      additionalProperties: false,
+      properties: {
+        listId: { type: 'string', minLength: 1 },
+        userId: { type: 'string', minLength: 1 },
+        userEmail: { type: ['string', 'null'] },
+        items: { type: 'array', items: listItem },
+        summary: listSummary
+      }
+    }
+  }
+};
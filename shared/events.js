@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const rabbit = require('./rabbitmq');
+const defaultSchemas = require('./eventSchemas');
+
+// Envelope padrão dos eventos de shopping_events. O tipo do evento é a routing key e a
+// versão é a do schema de data (shared/eventSchemas.js):
+//   { eventId, type, version, occurredAt, producer, correlationId, data }
+// Eventos são validados ao serem criados (antes de irem para a outbox) e ao serem consumidos.
+const EXCHANGE = 'shopping_events';
+
+const ENVELOPE_SCHEMA = {
+  type: 'object',
+  required: ['eventId', 'type', 'version', 'occurredAt', 'producer', 'correlationId', 'data'],
+  additionalProperties: false,
+  properties: {
+    eventId: { type: 'string', minLength: 1 },
+    type: { type: 'string', minLength: 1 },
+    version: { type: 'integer', minimum: 1 },
+    occurredAt: { type: 'string', format: 'date-time' },
+    producer: { type: 'string', minLength: 1 },
+    correlationId: { type: 'string', minLength: 1 },
+    data: { type: 'object' }
+  }
+};
+
+// Erros de evento não se resolvem com nova tentativa: subscribe manda a mensagem direto para a DLQ
+class EventValidationError extends Error {
+  constructor(type, version, errors) {
+    super(`Evento ${type} v${version} inválido: ${errors.join('; ')}`);
+    this.name = 'EventValidationError';
+    this.type = type;
+    this.version = version;
+    this.errors = errors;
+    this.retryable = false;
+  }
+}
+
+class UnknownEventError extends Error {
+  constructor(type, version) {
+    super(version === undefined
+      ? `Tipo de evento sem schema registrado: ${type}`
+      : `Versão ${version} de ${type} não registrada ou não tratada`);
+    this.name = 'UnknownEventError';
+    this.type = type;
+    this.version = version;
+    this.retryable = false;
+  }
+}
+
+// type -> { versão: schema }
+const registry = new Map();
+
+function registerSchema(type, version, schema) {
+  if (!registry.has(type)) registry.set(type, {});
+  registry.get(type)[version] = schema;
+}
+
+Object.entries(defaultSchemas).forEach(([type, versions]) => {
+  Object.entries(versions).forEach(([version, schema]) => registerSchema(type, Number(version), schema));
+});
+
+function getSchema(type, version) {
+  const versions = registry.get(type);
+  if (!versions) throw new UnknownEventError(type);
+  if (!versions[version]) throw new UnknownEventError(type, version);
+  return versions[version];
+}
+
+function latestVersion(type) {
+  const versions = registry.get(type);
+  if (!versions) throw new UnknownEventError(type);
+  return Math.max(...Object.keys(versions).map(Number));
+}
+
+function listSchemas() {
+  return Array.from(registry.entries()).map(([type, versions]) => ({
+    type,
+    versions: Object.keys(versions).map(Number).sort((a, b) => a - b)
+  }));
+}
+
+// Subconjunto de JSON Schema: type, enum, required, properties, additionalProperties,
+// items, minLength, minimum e format: 'date-time'. Retorna a lista de erros.
+function validate(schema, value, path = 'data', errors = []) {
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(type, value))) {
+      errors.push(`${path} deve ser ${types.join(' ou ')}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} deve ser um de: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} deve ter ao menos ${schema.minLength} caractere(s)`);
+    }
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      errors.push(`${path} deve ser uma data ISO 8601`);
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path} deve ser >= ${schema.minimum}`);
+  }
+
+  if (matchesType('object', value)) {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((field) => {
+      if (value[field] === undefined) errors.push(`${path}.${field} é obrigatório`);
+    });
+    Object.entries(value).forEach(([field, fieldValue]) => {
+      if (properties[field]) {
+        if (fieldValue !== undefined) validate(properties[field], fieldValue, `${path}.${field}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${field} não é permitido`);
+      }
+    });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((element, index) => validate(schema.items, element, `${path}[${index}]`, errors));
+  }
+
+  return errors;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+function validateEvent(event) {
+  const envelopeErrors = validate(ENVELOPE_SCHEMA, event, 'event');
+  if (envelopeErrors.length > 0) {
+    throw new EventValidationError(event && event.type, event && event.version, envelopeErrors);
+  }
+
+  const errors = validate(getSchema(event.type, event.version), event.data);
+  if (errors.length > 0) {
+    throw new EventValidationError(event.type, event.version, errors);
+  }
+  return event;
+}
+
+// Monta e valida o envelope; sem version, usa a mais recente registrada para o tipo.
+// Sem correlationId, o evento inicia a própria cadeia (correlationId = eventId).
+function createEvent(type, data, { version, producer, correlationId, eventId, occurredAt } = {}) {
+  const id = eventId || crypto.randomUUID();
+  return validateEvent({
+    eventId: id,
+    type,
+    version: version || latestVersion(type),
+    occurredAt: occurredAt || new Date().toISOString(),
+    producer,
+    correlationId: correlationId || id,
+    data
+  });
+}
+
+// Grava o evento na outbox da transação (publicado depois pelo relay, ver shared/rabbitmq)
+async function enqueueEvent(tx, type, data, options = {}) {
+  const event = createEvent(type, data, options);
+  await rabbit.enqueue(tx, EXCHANGE, type, event);
+  return event;
+}
+
+function isEnvelope(payload) {
+  return payload !== null && typeof payload === 'object' && 'eventId' in payload && 'data' in payload;
+}
+
+// Mensagens publicadas antes do envelope (o próprio objeto de dados) são lidas como v1 do tipo
+function fromMessage(payload, { routingKey, messageId } = {}) {
+  if (isEnvelope(payload)) return payload;
+
+  const eventId = messageId || crypto.randomUUID();
+  return {
+    eventId,
+    type: routingKey,
+    version: 1,
+    occurredAt: (payload && payload.timestamp) || new Date().toISOString(),
+    producer: 'legacy',
+    correlationId: eventId,
+    data: payload
+  };
+}
+
+// Handler para subscribe que valida o evento e despacha pela versão:
+//   handleEvents({ 'list.checkout.completed': { 1: handlerV1, 2: handlerV2 } })
+// Cada handler recebe (data, event, context). Tipo ou versão sem handler vão para a DLQ
+// (podem ser reenviados depois que um consumidor que os trate for implantado).
+function handleEvents(handlers) {
+  return async (payload, context = {}) => {
+    const event = validateEvent(fromMessage(payload, context));
+    const handler = (handlers[event.type] || {})[event.version];
+    if (!handler) {
+      throw new UnknownEventError(event.type, event.version);
+    }
+    return handler(event.data, event, context);
+  };
+}
+
+module.exports = {
+  EXCHANGE,
+  EventValidationError,
+  UnknownEventError,
+  registerSchema,
+  getSchema,
+  latestVersion,
+  listSchemas,
+  validate,
+  validateEvent,
+  createEvent,
+  enqueueEvent,
+  fromMessage,
+  handleEvents
+};
@@ -0,0 +1,133 @@
+// Health checks dos serviços, em duas rotas:
+//   GET /health/live   o processo responde (sem consultar dependências); 200 enquanto estiver de pé
+//   GET /health/ready  executa as verificações de dependências; 503 se alguma crítica falhar
+//   GET /health        o relatório de /health/ready com os detalhes próprios do serviço
+//
+// Cada verificação tem um nome e é uma função async que resolve com detalhes (opcionais) ou
+// lança o erro. Com critical: false, a falha deixa o serviço 'degraded', mas ainda pronto.
+const DEFAULT_CHECK_TIMEOUT = 3000;
+
+function normalizeCheck(name, spec) {
+  const check = typeof spec === 'function' ? { check: spec } : spec;
+  if (!check || typeof check.check !== 'function') {
+    throw new Error(`Health check ${name} deve ser uma função ou { check }`);
+  }
+  return { critical: true, timeout: DEFAULT_CHECK_TIMEOUT, ...check };
+}
+
+function withTimeout(promise, timeout, name) {
+  let timer;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} não respondeu em ${timeout}ms`)), timeout);
+    timer.unref();
+  });
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+async function runCheck(name, { check, critical, timeout }) {
+  const start = Date.now();
+  try {
+    const details = await withTimeout(Promise.resolve().then(check), timeout, name);
+    return { status: 'up', critical, duration: Date.now() - start, ...(details ? { details } : {}) };
+  } catch (error) {
+    return { status: 'down', critical, duration: Date.now() - start, error: error.message };
+  }
+}
+
+// checks: { nome: fn | { check, critical, timeout } }; details: fn opcional com os campos
+// extras de GET /health (ex.: estado do broker, contagens)
+function createHealthChecks({ service, version, checks = {}, details } = {}) {
+  const registered = new Map(Object.entries(checks).map(([name, spec]) => [name, normalizeCheck(name, spec)]));
+
+  function addCheck(name, spec) {
+    registered.set(name, normalizeCheck(name, spec));
+  }
+
+  function live() {
+    return {
+      status: 'alive',
+      service,
+      version,
+      pid: process.pid,
+      uptime: process.uptime(),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // status: 'ready', 'degraded' (só falhas não críticas) ou 'unready'
+  async function ready() {
+    const entries = await Promise.all([...registered].map(async ([name, check]) => [name, await runCheck(name, check)]));
+    const results = Object.fromEntries(entries);
+    const failed = entries.filter(([, result]) => result.status === 'down').map(([, result]) => result);
+
+    let status = 'ready';
+    if (failed.some(result => result.critical)) status = 'unready';
+    else if (failed.length > 0) status = 'degraded';
+
+    return {
+      status,
+      ready: status !== 'unready',
+      service,
+      version,
+      uptime: process.uptime(),
+      timestamp: new Date().toISOString(),
+      checks: results
+    };
+  }
+
+  // Rotas em um app Express (ou qualquer objeto com get(path, handler))
+  function mount(app) {
+    app.get('/health/live', (req, res) => {
+      res.json(live());
+    });
+
+    app.get('/health/ready', async (req, res) => {
+      const report = await ready();
+      res.status(report.ready ? 200 : 503).json(report);
+    });
+
+    app.get('/health', async (req, res) => {
+      const report = await ready();
+      const extra = details ? await Promise.resolve().then(details).catch(error => ({ detailsError: error.message })) : {};
+      res.status(report.ready ? 200 : 503).json({ ...report, ...extra });
+    });
+  }
+
+  return { addCheck, live, ready, mount };
+}
+
+// Leitura e gravação no banco (JsonDatabase.probe)
+function databaseCheck(db) {
+  return () => db.probe();
+}
+
+// Conexão do shared/rabbitmq com o broker
+function brokerCheck(rabbit) {
+  return () => {
+    const status = rabbit.getStatus();
+    if (status.state !== 'connected') {
+      throw new Error(`broker ${status.state}${status.lastError ? `: ${status.lastError}` : ''}`);
+    }
+    return { state: status.state, transport: status.transport, buffered: status.buffered };
+  };
+}
+
+// Serviço downstream: alguma instância com url, saudável e pronta no catálogo do registry
+function serviceCheck(serviceRegistry, serviceName) {
+  return () => {
+    const instances = serviceRegistry.listInstances(serviceName).filter(instance => instance.url);
+    const available = instances.filter(instance => instance.healthy && instance.ready !== false);
+    if (available.length === 0) {
+      throw new Error(`${serviceName} sem instâncias prontas (${instances.length} registrada(s))`);
+    }
+    return { instances: instances.length, ready: available.length };
+  };
+}
+
+module.exports = {
+  DEFAULT_CHECK_TIMEOUT,
+  createHealthChecks,
+  databaseCheck,
+  brokerCheck,
+  serviceCheck
+};
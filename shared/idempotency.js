@@ -0,0 +1,203 @@
+const os = require('os');
+const JsonDatabase = require('./JsonDatabase');
+
+// Consumidores idempotentes: com entrega at-least-once, o mesmo evento pode chegar mais de
+// uma vez (reentrega após queda do canal, relay da outbox que republica). O store registra
+// os ids já processados numa coleção do JsonDatabase, removidos após a retenção (TTL), e o
+// handler embrulhado por wrap() ignora os repetidos.
+//
+// O registro é reservado antes do handler e confirmado depois dele: se o handler falhar,
+// a reserva é desfeita e a nova tentativa processa o evento normalmente. A reserva é um
+// lease (claimTimeout) renovado enquanto o handler roda: se o consumidor morrer no meio,
+// a reentrega assume a reserva assim que o lease vence (ou na hora, se o processo dono
+// estava nesta máquina e já não existe), e reservas vencidas são apagadas pelo monitor.
+const PROCESSED_COLLECTION = 'processed_events';
+const DEFAULT_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+const DEFAULT_CLAIM_TIMEOUT = 30 * 1000;
+const SWEEP_INTERVAL = 60 * 1000;
+
+// Id do evento: eventId do envelope ou, para mensagens sem envelope, o messageId AMQP
+function defaultKey(payload, context) {
+  return (payload && payload.eventId) || context.messageId || null;
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// Reserva de um processo desta máquina que já terminou
+function ownerIsGone(record) {
+  const owner = record.claimedBy;
+  return Boolean(owner) && owner.host === os.hostname() && owner.pid !== process.pid && !isProcessAlive(owner.pid);
+}
+
+function createIdempotencyStore(dbPath, {
+  collection = PROCESSED_COLLECTION,
+  retentionSeconds = DEFAULT_RETENTION_SECONDS,
+  claimTimeout = DEFAULT_CLAIM_TIMEOUT
+} = {}) {
+  const db = new JsonDatabase(dbPath, collection);
+  const ready = db.ready.then(() => db.setTTL('processedAt', retentionSeconds));
+  const counters = { processed: 0, duplicates: 0, reclaimed: 0, abandonedPurged: 0 };
+  let stopMonitor = null;
+
+  // 'claimed': este consumidor processa; 'duplicate': já processado; 'in-progress': outra
+  // entrega do mesmo evento está em andamento
+  function claim(key) {
+    return db.transaction(async (tx) => {
+      const records = tx.collection(collection);
+      const existing = await records.findById(key);
+      const now = Date.now();
+
+      if (existing && existing.status === 'done') {
+        await records.update(key, {
+          duplicates: (existing.duplicates || 0) + 1,
+          lastDuplicateAt: new Date(now).toISOString()
+        });
+        return 'duplicate';
+      }
+      if (existing && existing.claimedUntil > now && !ownerIsGone(existing)) {
+        return 'in-progress';
+      }
+
+      const reservation = {
+        status: 'processing',
+        claimedUntil: now + claimTimeout,
+        claimedBy: { host: os.hostname(), pid: process.pid }
+      };
+      if (existing) {
+        await records.update(key, reservation);
+        counters.reclaimed++;
+        console.warn(`[shared/idempotency] reserva abandonada de ${key} assumida (PID ${existing.claimedBy ? existing.claimedBy.pid : '?'})`);
+      } else {
+        await records.create({ id: key, ...reservation, duplicates: 0 });
+      }
+      return 'claimed';
+    });
+  }
+
+  // Renova o lease da reserva enquanto o handler roda; retorna a função que para a renovação
+  function keepClaim(key) {
+    const timer = setInterval(() => {
+      db.update(key, { claimedUntil: Date.now() + claimTimeout }).catch((error) => {
+        console.warn(`[shared/idempotency] não foi possível renovar a reserva de ${key}:`, error.message);
+      });
+    }, Math.max(Math.floor(claimTimeout / 3), 100));
+    timer.unref();
+    return () => clearInterval(timer);
+  }
+
+  // Reservas 'processing' com lease vencido (consumidor morreu e a mensagem não voltou)
+  // não têm processedAt e escapariam do TTL
+  async function purgeAbandonedClaims(now = Date.now()) {
+    const abandoned = await db.find({ status: 'processing', claimedUntil: { $lt: now } });
+    for (const record of abandoned) {
+      await db.delete(record.id);
+    }
+    counters.abandonedPurged += abandoned.length;
+    return abandoned.length;
+  }
+
+  function startMonitor() {
+    const stopTTL = db.startTTLMonitor();
+    const sweep = () => purgeAbandonedClaims().catch((error) => {
+      console.error('[shared/idempotency] erro ao remover reservas abandonadas:', error.message);
+    });
+    const timer = setInterval(sweep, SWEEP_INTERVAL);
+    timer.unref();
+    sweep();
+    return () => {
+      stopTTL();
+      clearInterval(timer);
+    };
+  }
+
+  function wrap(handler, { keyOf = defaultKey } = {}) {
+    return async (payload, context = {}) => {
+      await ready;
+      if (!stopMonitor) stopMonitor = startMonitor();
+
+      const id = keyOf(payload, context);
+      if (!id) {
+        return handler(payload, context);
+      }
+
+      // Um mesmo store pode atender várias filas: cada fila processa o evento uma vez
+      const key = context.queue ? `${context.queue}:${id}` : id;
+      const state = await claim(key);
+
+      if (state === 'duplicate') {
+        counters.duplicates++;
+        console.warn(`[shared/idempotency] evento ${id} já processado${context.queue ? ` em ${context.queue}` : ''}, ignorado (${counters.duplicates} duplicado(s) desde o início)`);
+        return undefined;
+      }
+      if (state === 'in-progress') {
+        // Erro comum (com nova tentativa): quando voltar, a outra entrega já terminou
+        throw new Error(`Evento ${id} já está sendo processado`);
+      }
+
+      const releaseClaim = keepClaim(key);
+      let result;
+      try {
+        result = await handler(payload, context);
+      } catch (error) {
+        await db.delete(key).catch(() => {});
+        throw error;
+      } finally {
+        releaseClaim();
+      }
+
+      const done = { status: 'done', processedAt: new Date().toISOString(), claimedUntil: 0 };
+      const updated = await db.update(key, done);
+      // A reserva pode ter sido varrida se o lease venceu durante o handler
+      if (!updated) {
+        await db.create({ id: key, ...done, duplicates: 0 }).catch((error) => {
+          console.warn(`[shared/idempotency] não foi possível confirmar ${key}:`, error.message);
+        });
+      }
+      counters.processed++;
+      return result;
+    };
+  }
+
+  // Contadores deste processo e totais gravados (duplicados somados em todos os registros retidos)
+  async function stats() {
+    await ready;
+    const [stored] = await db.aggregate([
+      { $match: { status: 'done' } },
+      { $group: { _id: null, events: { $count: {} }, duplicates: { $sum: '$duplicates' } } }
+    ]);
+
+    return {
+      processed: counters.processed,
+      duplicates: counters.duplicates,
+      reclaimed: counters.reclaimed,
+      abandonedPurged: counters.abandonedPurged,
+      retained: stored ? stored.events : 0,
+      duplicatesRetained: stored ? stored.duplicates : 0,
+      retentionSeconds
+    };
+  }
+
+  function close() {
+    if (stopMonitor) stopMonitor();
+    stopMonitor = null;
+  }
+
+  return {
+    db,
+    wrap,
+    stats,
+    close
+  };
+}
+
+module.exports = {
+  PROCESSED_COLLECTION,
+  createIdempotencyStore
+};
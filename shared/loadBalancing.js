@@ -0,0 +1,56 @@
+// Estratégias de escolha de instância usadas por serviceRegistry.discover. Cada estratégia
+// recebe as instâncias saudáveis (ordenadas por id) e o estado do processo que descobre:
+//   strategy(instances, { serviceName, sequence, inFlight }) -> instância
+// sequence é um contador de chamadas por serviço; inFlight(id) é o número de requisições
+// deste processo ainda em andamento para a instância.
+const DEFAULT_STRATEGY = 'round-robin';
+
+function roundRobin(instances, { sequence }) {
+  return instances[sequence % instances.length];
+}
+
+function random(instances) {
+  return instances[Math.floor(Math.random() * instances.length)];
+}
+
+// Empates (ex.: todas ociosas) são desfeitos em rodízio para não concentrar na primeira
+function leastInFlight(instances, { sequence, inFlight }) {
+  const lowest = Math.min(...instances.map(instance => inFlight(instance.id)));
+  const candidates = instances.filter(instance => inFlight(instance.id) === lowest);
+  return candidates[sequence % candidates.length];
+}
+
+const strategies = new Map([
+  ['round-robin', roundRobin],
+  ['random', random],
+  ['least-in-flight', leastInFlight]
+]);
+
+function registerStrategy(name, strategy) {
+  if (typeof strategy !== 'function') {
+    throw new Error(`Estratégia ${name} deve ser uma função`);
+  }
+  strategies.set(name, strategy);
+}
+
+// Aceita o nome de uma estratégia registrada ou a própria função
+function getStrategy(strategy = DEFAULT_STRATEGY) {
+  if (typeof strategy === 'function') return strategy;
+
+  const found = strategies.get(strategy);
+  if (!found) {
+    throw new Error(`Estratégia de balanceamento desconhecida: ${strategy} (disponíveis: ${[...strategies.keys()].join(', ')})`);
+  }
+  return found;
+}
+
+function listStrategies() {
+  return [...strategies.keys()];
+}
+
+module.exports = {
+  DEFAULT_STRATEGY,
+  registerStrategy,
+  getStrategy,
+  listStrategies
+};
@@ -0,0 +1,156 @@
+const fs = require('fs-extra');
+const path = require('path');
+const JsonDatabase = require('./JsonDatabase');
+
+// Migrações versionadas por diretório de banco. Cada serviço mantém seus scripts em
+// migrations/NNN-descricao.js, aplicados em ordem de nome:
+//   module.exports = {
+//     async up(tx) { ... return state; },      // state (opcional) fica salvo no registro
+//     async down(tx, state) { ... }
+//   }
+// tx é uma transação do JsonDatabase (tx.collection('users')...): a migração e o seu
+// registro na coleção _migrations são gravados juntos ou não são gravados.
+const MIGRATIONS_COLLECTION = '_migrations';
+const MIGRATION_FILE = /^\d+[-_][\w.-]+\.js$/;
+
+class MigrationVersionError extends Error {
+  constructor(dbPath, unknown) {
+    super(`Dados em ${dbPath} têm migrações desconhecidas por este código: ${unknown.join(', ')}`);
+    this.name = 'MigrationVersionError';
+    this.dbPath = dbPath;
+    this.unknown = unknown;
+  }
+}
+
+async function loadMigrations(migrationsDir) {
+  if (!(await fs.pathExists(migrationsDir))) return [];
+
+  const files = (await fs.readdir(migrationsDir)).filter(file => MIGRATION_FILE.test(file)).sort();
+  return files.map(file => {
+    const migration = require(path.join(migrationsDir, file));
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new Error(`Migração ${file} deve exportar up e down`);
+    }
+    return { id: file.replace(/\.js$/, ''), up: migration.up, down: migration.down };
+  });
+}
+
+function openRecords(dbPath) {
+  return new JsonDatabase(dbPath, MIGRATIONS_COLLECTION);
+}
+
+// Situação do banco: migrações aplicadas, pendentes e aplicadas mas ausentes do código
+async function status(dbPath, migrationsDir) {
+  const migrations = await loadMigrations(migrationsDir);
+  const records = openRecords(dbPath);
+  await records.ready;
+
+  const applied = await records.find({}, { sort: { id: 1 } });
+  const known = new Set(migrations.map(migration => migration.id));
+  const appliedIds = new Set(applied.map(record => record.id));
+
+  return {
+    migrations,
+    applied: applied.filter(record => known.has(record.id)),
+    pending: migrations.filter(migration => !appliedIds.has(migration.id)),
+    unknown: applied.filter(record => !known.has(record.id)).map(record => record.id)
+  };
+}
+
+// Dados gravados por uma versão mais nova do serviço não podem ser usados por esta
+async function assertCompatible(dbPath, migrationsDir) {
+  const current = await status(dbPath, migrationsDir);
+  if (current.unknown.length > 0) {
+    throw new MigrationVersionError(dbPath, current.unknown);
+  }
+  return current;
+}
+
+// Posição de `to` na lista ordenada de migrações: id completo ou só o número (NNN); '0' é
+// a posição anterior à primeira
+function targetPosition(migrations, to) {
+  if (to === '0') return -1;
+  const exact = migrations.findIndex(migration => migration.id === to);
+  if (exact !== -1) return exact;
+
+  const prefixed = migrations
+    .map((migration, position) => ({ number: migration.id.split(/[-_]/)[0], position }))
+    .filter(({ number }) => number === to);
+  if (prefixed.length !== 1) {
+    throw new Error(prefixed.length === 0 ? `Migração desconhecida: ${to}` : `Migração ambígua: ${to}`);
+  }
+  return prefixed[0].position;
+}
+
+// Aplica as migrações pendentes em ordem (até `to`, inclusive, se informado)
+async function migrate(dbPath, migrationsDir, { to } = {}) {
+  const { migrations, pending } = await assertCompatible(dbPath, migrationsDir);
+  const last = to !== undefined ? targetPosition(migrations, to) : migrations.length - 1;
+  const records = openRecords(dbPath);
+  const applied = [];
+
+  for (const migration of pending) {
+    if (migrations.indexOf(migration) > last) break;
+
+    const ran = await records.transaction(async tx => {
+      const log = tx.collection(MIGRATIONS_COLLECTION);
+      // Outro processo pode ter aplicado enquanto esperávamos o lock
+      if (await log.findById(migration.id)) return false;
+
+      const state = await migration.up(tx);
+      await log.create({ id: migration.id, appliedAt: new Date().toISOString(), state: state === undefined ? null : state });
+      return true;
+    });
+
+    if (ran) {
+      console.log(`Migração aplicada: ${migration.id}`);
+      applied.push(migration.id);
+    }
+  }
+  return applied;
+}
+
+// Reverte as últimas migrações aplicadas: `steps` (padrão 1) ou até que `to` seja a mais recente
+// ('0' reverte todas)
+async function rollback(dbPath, migrationsDir, { steps = 1, to } = {}) {
+  const { migrations, applied } = await assertCompatible(dbPath, migrationsDir);
+  const records = openRecords(dbPath);
+
+  const candidates = applied.slice().reverse();
+  let targets = candidates.slice(0, steps);
+  if (to !== undefined) {
+    const keep = targetPosition(migrations, to);
+    targets = candidates.filter(record => migrations.findIndex(m => m.id === record.id) > keep);
+  }
+
+  const reverted = [];
+  for (const record of targets) {
+    const migration = migrations.find(m => m.id === record.id);
+
+    const ran = await records.transaction(async tx => {
+      const log = tx.collection(MIGRATIONS_COLLECTION);
+      const current = await log.findById(record.id);
+      if (!current) return false;
+
+      await migration.down(tx, current.state);
+      await log.delete(record.id);
+      return true;
+    });
+
+    if (ran) {
+      console.log(`Migração revertida: ${record.id}`);
+      reverted.push(record.id);
+    }
+  }
+  return reverted;
+}
+
+module.exports = {
+  MIGRATIONS_COLLECTION,
+  MigrationVersionError,
+  loadMigrations,
+  status,
+  assertCompatible,
+  migrate,
+  rollback
+};
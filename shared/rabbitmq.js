@@ -1,63 +1,795 @@
-const amqp = require('amqplib');
+const crypto = require('crypto');
 const path = require('path');
 
 require('dotenv').config({ path: path.resolve(__dirname, '.env') });
 
+const { getTransport } = require('./broker');
+
 const RABBIT_URL = (process.env.RABBITMQ_URL || '').trim();
+// RabbitMQ (amqp) ou o broker local para rodar sem ele (memory, local): ver shared/broker
+const transport = getTransport();
+
+// Outbox: varredura periódica, teto do backoff entre tentativas e validade da reserva de um registro
+const OUTBOX_COLLECTION = 'outbox';
+const OUTBOX_POLL_INTERVAL = 5000;
+const OUTBOX_MAX_BACKOFF = 60000;
+const OUTBOX_CLAIM_TIMEOUT = 30000;
+
+// Publicação confiável: canal com confirmações do broker, reconexão com backoff exponencial
+// e buffer em memória (limitado) para mensagens publicadas enquanto a conexão está fora
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+const PUBLISH_BUFFER_LIMIT = parseInt(process.env.RABBITMQ_BUFFER_LIMIT, 10) || 1000;
+const PUBLISH_TIMEOUT = parseInt(process.env.RABBITMQ_PUBLISH_TIMEOUT, 10) || 10000;
+
+// Consumo: padrões de subscribe (mensagens não confirmadas por consumidor, tentativas antes
+// do dead-letter e atraso da primeira nova tentativa, que dobra a cada falha)
+const DEFAULT_PREFETCH = 10;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 5000;
+
+// RPC (request/reply): cada método tem a fila rpc.<método>; a resposta volta para a fila
+// exclusiva de respostas do processo que chamou, casada pelo correlationId
+const RPC_TIMEOUT = parseInt(process.env.RABBITMQ_RPC_TIMEOUT, 10) || 5000;
+
+class PublishError extends Error {
+  constructor(message, routingKey) {
+    super(message);
+    this.name = 'PublishError';
+    this.routingKey = routingKey;
+  }
+}
+
+// code 'UNAVAILABLE': sem broker, sem responder ou sem resposta no prazo;
+// code 'REMOTE': o handler do responder lançou erro
+class RpcError extends Error {
+  constructor(method, message, code) {
+    super(`RPC ${method}: ${message}`);
+    this.name = 'RpcError';
+    this.method = method;
+    this.code = code;
+  }
+}
 
 let connection = null;
 let channel = null;
+let connecting = null;
+let reconnectTimer = null;
+let closing = false;
+
+// Mensagens aguardando conexão, na ordem de publicação
+const buffer = [];
+let inFlight = 0;
+
+// Assinaturas ativas: recriadas a cada reconexão
+const subscriptions = [];
 
+// Responders RPC (recriados a cada reconexão), fila de respostas e chamadas aguardando resposta
+const rpcServers = [];
+let replyQueue = null;
+const pendingCalls = new Map();
+
+const status = {
+  state: 'disconnected',
+  connectedAt: null,
+  lastError: null,
+  reconnectAttempts: 0
+};
+
+async function openConnection() {
+  status.state = status.reconnectAttempts > 0 ? 'reconnecting' : 'connecting';
+
+  const conn = await transport.connect(RABBIT_URL);
+  conn.on('error', (err) => {
+    status.lastError = err.message;
+    console.error('[shared/rabbitmq] connection error', err.message);
+  });
+  conn.on('close', () => handleClose(conn));
+
+  let ch;
+  try {
+    ch = await conn.createConfirmChannel();
+    await ch.assertExchange('shopping_events', 'topic', { durable: true });
+  } catch (error) {
+    conn.close().catch(() => {});
+    throw error;
+  }
+
+  // Um erro de canal (ex.: exchange inexistente) fecha só o canal: recomeçar pela conexão
+  ch.on('error', (err) => {
+    status.lastError = err.message;
+    console.error('[shared/rabbitmq] channel error', err.message);
+  });
+  ch.on('close', () => {
+    if (ch === channel) {
+      channel = null;
+      conn.close().catch(() => {});
+    }
+  });
+
+  connection = conn;
+  channel = ch;
+  Object.assign(status, { state: 'connected', connectedAt: new Date().toISOString(), reconnectAttempts: 0 });
+  console.log('[shared/rabbitmq] Connected to', redactUrl(transport.describe(RABBIT_URL)));
+
+  flushBuffer();
+  subscriptions.forEach(subscription => startConsumer(conn, subscription));
+  rpcServers.forEach(server => startRpcServer(conn, server));
+  return { connection, channel };
+}
+
+function handleClose(conn) {
+  if (conn !== connection) return;
+
+  connection = null;
+  channel = null;
+  status.state = 'disconnected';
+  status.connectedAt = null;
+
+  if (closing) return;
+  console.warn('[shared/rabbitmq] connection closed');
+  scheduleReconnect();
+}
+
+function scheduleReconnect() {
+  if (closing || reconnectTimer) return;
+
+  status.reconnectAttempts++;
+  const backoff = Math.min(RECONNECT_BASE_DELAY * 2 ** (status.reconnectAttempts - 1), RECONNECT_MAX_DELAY);
+  const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+  status.state = 'reconnecting';
+  console.warn(`[shared/rabbitmq] reconnecting in ${delay}ms (attempt #${status.reconnectAttempts})`);
+
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connect().catch(() => {});
+  }, delay);
+}
+
+// Conecta (ou aguarda a conexão em andamento). Se falhar, a reconexão fica agendada
+// com backoff e o erro é repassado a quem chamou.
 async function connect() {
   if (channel && connection) return { connection, channel };
+  closing = false;
+
+  if (!connecting) {
+    connecting = openConnection()
+      .catch((error) => {
+        status.lastError = error.message;
+        console.error('[shared/rabbitmq] failed to connect:', error.message);
+        scheduleReconnect();
+        throw error;
+      })
+      .finally(() => {
+        connecting = null;
+      });
+  }
+  return connecting;
+}
+
+function flushBuffer() {
+  buffer.splice(0).forEach(send);
+}
+
+function send(entry) {
+  let finished = false;
+  inFlight++;
+
+  const done = (err) => {
+    if (finished) return;
+    finished = true;
+    inFlight--;
+
+    if (!err) {
+      console.log(`[shared/rabbitmq] published to exchange=${entry.exchange} routingKey=${entry.routingKey}`);
+      return entry.resolve(true);
+    }
+    // Nack é recusa do broker; qualquer outro erro é o canal fechando antes da confirmação:
+    // a mensagem volta para o buffer e é reenviada na reconexão
+    if (err.message !== 'message nacked' && !entry.settled) {
+      return enqueueEntry(entry);
+    }
+    entry.reject(new PublishError(`Broker rejected message: ${err.message}`, entry.routingKey));
+  };
 
   try {
-    connection = await amqp.connect(RABBIT_URL);
-    channel = await connection.createChannel();
-    
-    await channel.assertExchange('shopping_events', 'topic', { durable: true });
-    console.log('[shared/rabbitmq] Connected to RabbitMQ at', RABBIT_URL);
-    connection.on('error', (err) => {
-      console.error('[shared/rabbitmq] connection error', err.message);
-      connection = null;
-      channel = null;
+    channel.publish(entry.exchange, entry.routingKey, entry.payload, entry.options, done);
+  } catch (error) {
+    done(error);
+  }
+}
+
+function enqueueEntry(entry) {
+  if (buffer.length >= PUBLISH_BUFFER_LIMIT) {
+    return entry.reject(new PublishError(`Publish buffer full (${PUBLISH_BUFFER_LIMIT} messages)`, entry.routingKey));
+  }
+  buffer.push(entry);
+  if (!connecting && !reconnectTimer) {
+    connect().catch(() => {});
+  }
+}
+
+// Publica e resolve com true quando o broker confirma (ack). Toda mensagem leva um messageId
+// (gerado se options não trouxer um). Sem conexão, a mensagem espera
+// no buffer; rejeita com PublishError se o broker recusar, o buffer estiver cheio ou a
+// confirmação não chegar em PUBLISH_TIMEOUT.
+function publish(exchange, routingKey, message, options = { persistent: true }) {
+  return new Promise((resolve, reject) => {
+    const entry = {
+      exchange,
+      routingKey,
+      options: { messageId: crypto.randomUUID(), ...options },
+      payload: Buffer.from(JSON.stringify(message)),
+      settled: false
+    };
+
+    const timer = setTimeout(() => {
+      const position = buffer.indexOf(entry);
+      if (position !== -1) buffer.splice(position, 1);
+      entry.reject(new PublishError(`No broker confirmation after ${PUBLISH_TIMEOUT}ms`, routingKey));
+    }, PUBLISH_TIMEOUT);
+
+    entry.resolve = (value) => {
+      if (entry.settled) return;
+      entry.settled = true;
+      clearTimeout(timer);
+      resolve(value);
+    };
+    entry.reject = (error) => {
+      if (entry.settled) return;
+      entry.settled = true;
+      clearTimeout(timer);
+      console.error('[shared/rabbitmq] publish failed:', error.message);
+      reject(error);
+    };
+
+    if (channel) {
+      send(entry);
+    } else {
+      enqueueEntry(entry);
+    }
+  });
+}
+
+// Estado da conexão para o /health dos serviços
+function getStatus() {
+  return {
+    ...status,
+    transport: transport.type,
+    url: redactUrl(transport.describe(RABBIT_URL)),
+    buffered: buffer.length,
+    bufferLimit: PUBLISH_BUFFER_LIMIT,
+    inFlight
+  };
+}
+
+// Encerra a conexão sem reconectar; mensagens ainda no buffer são rejeitadas
+async function close() {
+  closing = true;
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+
+  buffer.splice(0).forEach(entry => entry.reject(new PublishError('RabbitMQ connection closed', entry.routingKey)));
+  failPendingCalls('conexão encerrada');
+
+  const conn = connection;
+  connection = null;
+  channel = null;
+  status.state = 'closed';
+  if (conn) await conn.close().catch(() => {});
+}
+
+// Topologia de uma fila assinada: uma fila <fila>.retry.<atraso> por atraso de tentativa
+// segura as mensagens que falharam e as devolve à fila; esgotadas as tentativas, vão pelo
+// exchange <fila>.dlx para <fila>.dlq (o mesmo caminho de um nack na fila principal)
+function queueNames(queue) {
+  return {
+    queue,
+    deadLetterExchange: `${queue}.dlx`,
+    deadLetter: `${queue}.dlq`
+  };
+}
+
+// O RabbitMQ só expira mensagens na cabeça da fila: numa fila de retry única, um atraso
+// longo na frente seguraria os curtos atrás dele. Com um atraso por fila (x-message-ttl),
+// todas as mensagens de uma fila vencem na ordem em que entraram.
+function retryQueueName(queue, delay) {
+  return `${queue}.retry.${delay}`;
+}
+
+// Consome de uma fila durável ligada ao exchange pelas bindingKeys. handler(payload, context)
+// recebe a mensagem já decodificada; se resolver, a mensagem é confirmada, se lançar, é
+// reenviada após retryDelay, 2x retryDelay, ... até maxRetries vezes e depois vai para a DLQ
+// (erros com retryable = false vão direto).
+// Resolve quando o consumidor estiver ativo (aguardando o broker, se preciso).
+function subscribe({
+  queue,
+  bindingKeys = [],
+  exchange = 'shopping_events',
+  prefetch = DEFAULT_PREFETCH,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  retryDelay = DEFAULT_RETRY_DELAY,
+  handler
+}) {
+  if (!queue || typeof handler !== 'function') {
+    throw new Error('subscribe requer queue e handler');
+  }
+
+  const subscription = {
+    ...queueNames(queue),
+    bindingKeys: [].concat(bindingKeys),
+    exchange,
+    prefetch,
+    maxRetries,
+    retryDelay,
+    retryDelays: Array.from({ length: maxRetries }, (_, index) => retryDelay * 2 ** index),
+    handler,
+    channel: null
+  };
+  const ready = new Promise((resolve) => {
+    subscription.onReady = resolve;
+  });
+  subscriptions.push(subscription);
+
+  if (connection && channel) {
+    startConsumer(connection, subscription);
+  } else {
+    connect().catch(() => {});
+  }
+
+  return ready.then(() => ({
+    queue,
+    cancel: () => unsubscribe(subscription)
+  }));
+}
+
+async function unsubscribe(subscription) {
+  const position = subscriptions.indexOf(subscription);
+  if (position !== -1) subscriptions.splice(position, 1);
+
+  const ch = subscription.channel;
+  subscription.channel = null;
+  if (ch) await ch.close().catch(() => {});
+}
+
+function startConsumer(conn, subscription) {
+  setupConsumer(conn, subscription).catch((error) => {
+    status.lastError = error.message;
+    console.error(`[shared/rabbitmq] failed to subscribe queue=${subscription.queue}:`, error.message);
+  });
+}
+
+async function setupConsumer(conn, subscription) {
+  const ch = await conn.createConfirmChannel();
+  subscription.channel = ch;
+
+  ch.on('error', (err) => {
+    console.error(`[shared/rabbitmq] consumer channel error queue=${subscription.queue}`, err.message);
+  });
+  // Como no canal de publicação, a queda de um canal de consumo reinicia a conexão
+  ch.on('close', () => {
+    if (subscription.channel === ch) {
+      subscription.channel = null;
+      if (conn === connection) conn.close().catch(() => {});
+    }
+  });
+
+  await ch.assertExchange(subscription.exchange, 'topic', { durable: true });
+  await ch.assertExchange(subscription.deadLetterExchange, 'fanout', { durable: true });
+  await ch.assertQueue(subscription.deadLetter, { durable: true });
+  await ch.bindQueue(subscription.deadLetter, subscription.deadLetterExchange, '');
+  for (const delay of subscription.retryDelays) {
+    await ch.assertQueue(retryQueueName(subscription.queue, delay), {
+      durable: true,
+      messageTtl: delay,
+      deadLetterExchange: '',
+      deadLetterRoutingKey: subscription.queue
     });
-    connection.on('close', () => {
-      console.warn('[shared/rabbitmq] connection closed');
-      connection = null;
-      channel = null;
+  }
+  await ch.assertQueue(subscription.queue, {
+    durable: true,
+    deadLetterExchange: subscription.deadLetterExchange
+  });
+  for (const bindingKey of subscription.bindingKeys) {
+    await ch.bindQueue(subscription.queue, subscription.exchange, bindingKey);
+  }
+
+  await ch.prefetch(subscription.prefetch);
+  await ch.consume(subscription.queue, msg => handleDelivery(ch, subscription, msg));
+
+  console.log(`[shared/rabbitmq] consuming queue=${subscription.queue} bindings=${subscription.bindingKeys.join(',')}`);
+  subscription.onReady();
+}
+
+async function handleDelivery(ch, subscription, msg) {
+  // null: consumidor cancelado pelo broker (ex.: fila removida)
+  if (!msg) return;
+
+  const headers = msg.properties.headers || {};
+  const attempt = (headers['x-retry-count'] || 0) + 1;
+  const routingKey = headers['x-original-routing-key'] || msg.fields.routingKey;
+
+  let payload;
+  try {
+    payload = JSON.parse(msg.content.toString());
+  } catch (error) {
+    console.error(`[shared/rabbitmq] invalid JSON on queue=${subscription.queue}, dead-lettering`);
+    return settle(ch, subscription, () => ch.nack(msg, false, false));
+  }
+
+  try {
+    await subscription.handler(payload, {
+      routingKey,
+      headers,
+      attempt,
+      queue: subscription.queue,
+      messageId: msg.properties.messageId
     });
-    return { connection, channel };
+    settle(ch, subscription, () => ch.ack(msg));
   } catch (error) {
-    console.error('[shared/rabbitmq] failed to connect:', error.message);
-    connection = null;
-    channel = null;
-    throw error;
+    await retryOrDeadLetter(ch, subscription, msg, { attempt, routingKey, error });
+  }
+}
+
+async function retryOrDeadLetter(ch, subscription, msg, { attempt, routingKey, error }) {
+  // Erros marcados com retryable = false (ex.: evento inválido) vão direto para a DLQ
+  const exhausted = attempt > subscription.maxRetries || error.retryable === false;
+  const delay = subscription.retryDelays[attempt - 1];
+  const headers = {
+    ...msg.properties.headers,
+    'x-retry-count': attempt,
+    'x-original-routing-key': routingKey,
+    'x-last-error': error.message
+  };
+  if (exhausted) {
+    headers['x-dead-lettered-at'] = new Date().toISOString();
+  }
+
+  try {
+    await new Promise((resolve, reject) => {
+      const options = { ...msg.properties, persistent: true, headers, expiration: undefined };
+      const done = err => (err ? reject(err) : resolve());
+      if (exhausted) {
+        ch.publish(subscription.deadLetterExchange, routingKey, msg.content, options, done);
+      } else {
+        ch.sendToQueue(retryQueueName(subscription.queue, delay), msg.content, options, done);
+      }
+    });
+
+    if (exhausted) {
+      console.error(`[shared/rabbitmq] queue=${subscription.queue} ${routingKey} dead-lettered after ${attempt} attempt(s): ${error.message}`);
+    } else {
+      console.warn(`[shared/rabbitmq] queue=${subscription.queue} ${routingKey} failed (${error.message}), retry #${attempt} in ${delay}ms`);
+    }
+    settle(ch, subscription, () => ch.ack(msg));
+  } catch (forwardError) {
+    // Não foi possível reencaminhar: devolve à fila para não perder a mensagem
+    console.error(`[shared/rabbitmq] failed to forward message from queue=${subscription.queue}:`, forwardError.message);
+    settle(ch, subscription, () => ch.nack(msg, false, true));
+  }
+}
+
+// Ack/nack só valem no canal que entregou a mensagem; se ele caiu, o broker reentrega
+function settle(ch, subscription, action) {
+  if (subscription.channel !== ch) return;
+  try {
+    action();
+  } catch (error) {
+    console.warn(`[shared/rabbitmq] could not settle message on queue=${subscription.queue}:`, error.message);
+  }
+}
+
+function rpcQueue(method) {
+  return `rpc.${method}`;
+}
+
+// Responde às chamadas de rpc(method, ...): handler(params) resolve com o resultado (undefined
+// vira null) ou lança, e quem chamou recebe RpcError com code 'REMOTE'. A fila não é
+// durável: chamadas sem responder no ar expiram e o cliente recebe timeout.
+function serveRpc(method, handler, { prefetch = DEFAULT_PREFETCH } = {}) {
+  if (!method || typeof handler !== 'function') {
+    throw new Error('serveRpc requer method e handler');
+  }
+
+  const server = { method, queue: rpcQueue(method), handler, prefetch, channel: null };
+  rpcServers.push(server);
+
+  if (connection && channel) {
+    startRpcServer(connection, server);
+  } else {
+    connect().catch(() => {});
+  }
+
+  return {
+    method,
+    stop: () => stopRpcServer(server)
+  };
+}
+
+async function stopRpcServer(server) {
+  const position = rpcServers.indexOf(server);
+  if (position !== -1) rpcServers.splice(position, 1);
+
+  const ch = server.channel;
+  server.channel = null;
+  if (ch) await ch.close().catch(() => {});
+}
+
+function startRpcServer(conn, server) {
+  setupRpcServer(conn, server).catch((error) => {
+    status.lastError = error.message;
+    console.error(`[shared/rabbitmq] failed to serve rpc method=${server.method}:`, error.message);
+  });
+}
+
+async function setupRpcServer(conn, server) {
+  const ch = await conn.createChannel();
+  server.channel = ch;
+
+  ch.on('error', (err) => {
+    console.error(`[shared/rabbitmq] rpc channel error method=${server.method}`, err.message);
+  });
+  ch.on('close', () => {
+    if (server.channel === ch) {
+      server.channel = null;
+      if (conn === connection) conn.close().catch(() => {});
+    }
+  });
+
+  await ch.assertQueue(server.queue, { durable: false });
+  await ch.prefetch(server.prefetch);
+  await ch.consume(server.queue, msg => answerRpc(ch, server, msg));
+
+  console.log(`[shared/rabbitmq] serving rpc method=${server.method}`);
+}
+
+async function answerRpc(ch, server, msg) {
+  if (!msg) return;
+
+  const { replyTo, correlationId } = msg.properties;
+  let reply;
+  try {
+    const result = await server.handler(JSON.parse(msg.content.toString()));
+    reply = { ok: true, result: result === undefined ? null : result };
+  } catch (error) {
+    reply = { ok: false, error: error.message };
+  }
+
+  // Canal caiu durante o handler: a chamada volta para a fila (ou expira no cliente)
+  if (server.channel !== ch) return;
+  try {
+    if (replyTo) {
+      ch.sendToQueue(replyTo, Buffer.from(JSON.stringify(reply)), { correlationId });
+    }
+    ch.ack(msg);
+  } catch (error) {
+    console.warn(`[shared/rabbitmq] could not reply rpc method=${server.method}:`, error.message);
+  }
+}
+
+// Fila exclusiva de respostas, criada na primeira chamada e recriada após uma queda
+function getReplyQueue() {
+  if (replyQueue) return replyQueue;
+
+  const pending = (async () => {
+    const { connection: conn } = await connect();
+    const ch = await conn.createChannel();
+    ch.on('error', (err) => {
+      console.error('[shared/rabbitmq] rpc reply channel error', err.message);
+    });
+    ch.on('close', () => {
+      if (replyQueue === pending) replyQueue = null;
+      failPendingCalls('canal de respostas fechado');
+    });
+
+    const { queue } = await ch.assertQueue('', { exclusive: true, autoDelete: true });
+    await ch.consume(queue, handleReply, { noAck: true });
+    return { channel: ch, queue };
+  })();
+
+  replyQueue = pending;
+  pending.catch(() => {
+    if (replyQueue === pending) replyQueue = null;
+  });
+  return pending;
+}
+
+function handleReply(msg) {
+  if (!msg) return;
+
+  // Respostas de chamadas que já expiraram são descartadas
+  const call = pendingCalls.get(msg.properties.correlationId);
+  if (!call) return;
+  pendingCalls.delete(msg.properties.correlationId);
+  clearTimeout(call.timer);
+
+  let reply;
+  try {
+    reply = JSON.parse(msg.content.toString());
+  } catch (error) {
+    return call.reject(new RpcError(call.method, 'resposta inválida', 'REMOTE'));
+  }
+  if (reply.ok) {
+    call.resolve(reply.result);
+  } else {
+    call.reject(new RpcError(call.method, reply.error, 'REMOTE'));
   }
 }
 
-async function publish(exchange, routingKey, message, options = { persistent: true }) {
+function failPendingCalls(reason) {
+  pendingCalls.forEach((call, correlationId) => {
+    pendingCalls.delete(correlationId);
+    clearTimeout(call.timer);
+    call.reject(new RpcError(call.method, reason, 'UNAVAILABLE'));
+  });
+}
+
+// Chama o responder de method e resolve com o resultado. Diferente de publish, não espera
+// a conexão voltar: sem broker (ou sem resposta em timeout ms) rejeita na hora com
+// RpcError 'UNAVAILABLE', para que quem chama responda 503 em vez de travar a requisição.
+async function rpc(method, params = {}, { timeout = RPC_TIMEOUT } = {}) {
+  if (!channel && (reconnectTimer || closing)) {
+    throw new RpcError(method, 'broker indisponível', 'UNAVAILABLE');
+  }
+
+  // A primeira conexão (ou uma ainda pendente) também conta no timeout da chamada
+  const deadline = Date.now() + timeout;
+  let connectTimer;
+  let reply;
   try {
-    if (!channel) {
-      await connect();
+    reply = await Promise.race([
+      getReplyQueue(),
+      new Promise((resolve, reject) => {
+        connectTimer = setTimeout(() => reject(new Error(`sem conexão em ${timeout}ms`)), timeout);
+      })
+    ]);
+  } catch (error) {
+    throw new RpcError(method, `broker indisponível (${error.message})`, 'UNAVAILABLE');
+  } finally {
+    clearTimeout(connectTimer);
+  }
+
+  const remaining = Math.max(deadline - Date.now(), 1);
+  const correlationId = crypto.randomUUID();
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pendingCalls.delete(correlationId);
+      reject(new RpcError(method, `sem resposta em ${timeout}ms`, 'UNAVAILABLE'));
+    }, remaining);
+    pendingCalls.set(correlationId, { method, resolve, reject, timer });
+
+    try {
+      // A chamada expira na fila junto com o timeout: um responder que volte depois não a executa
+      reply.channel.sendToQueue(rpcQueue(method), Buffer.from(JSON.stringify(params)), {
+        correlationId,
+        replyTo: reply.queue,
+        expiration: String(remaining)
+      });
+    } catch (error) {
+      pendingCalls.delete(correlationId);
+      clearTimeout(timer);
+      reject(new RpcError(method, `broker indisponível (${error.message})`, 'UNAVAILABLE'));
+    }
+  });
+}
+
+function redactUrl(url) {
+  return url.replace(/\/\/([^:@/]+):[^@/]*@/, '//$1:***@');
+}
+
+// Grava o evento na outbox dentro da mesma transação que altera os dados; o relay publica
+// depois, com novas tentativas até o broker confirmar (entrega at-least-once)
+async function enqueue(tx, exchange, routingKey, message, options = { persistent: true }) {
+  return tx.collection(OUTBOX_COLLECTION).create({
+    exchange,
+    routingKey,
+    message,
+    options,
+    attempts: 0,
+    nextAttemptAt: Date.now(),
+    claimedUntil: 0,
+    lastError: null
+  });
+}
+
+// Drena a outbox (JsonDatabase da coleção 'outbox') para o broker: imediatamente a cada
+// inserção, via change stream, e periodicamente para as tentativas com backoff
+function startOutboxRelay(outboxDb, { interval = OUTBOX_POLL_INTERVAL } = {}) {
+  let draining = false;
+  let drainAgain = false;
+
+  async function drain() {
+    if (draining) {
+      drainAgain = true;
+      return;
+    }
+
+    draining = true;
+    try {
+      do {
+        drainAgain = false;
+        const now = Date.now();
+        const due = await outboxDb.find(
+          { nextAttemptAt: { $lte: now }, claimedUntil: { $lt: now } },
+          { sort: { createdAt: 1 }, limit: 100 }
+        );
+
+        for (const record of due) {
+          await relayRecord(outboxDb, record);
+        }
+      } while (drainAgain);
+    } catch (error) {
+      console.error('[shared/rabbitmq] outbox relay failed:', error.message);
+    } finally {
+      draining = false;
     }
+  }
+
+  const timer = setInterval(drain, interval);
+  timer.unref();
+
+  const unwatch = outboxDb.watch((change) => {
+    if (change.type === 'insert') drain();
+  });
 
-    if (!channel) {
-      throw new Error('No RabbitMQ channel available');
+  drain();
+
+  return {
+    drain,
+    stop() {
+      clearInterval(timer);
+      unwatch();
     }
+  };
+}
+
+async function relayRecord(outboxDb, record) {
+  // Reservar o registro pela versão: outra instância do serviço não publica o mesmo evento em paralelo
+  let claimed;
+  try {
+    claimed = await outboxDb.update(record.id, {
+      claimedUntil: Date.now() + OUTBOX_CLAIM_TIMEOUT
+    }, { ifVersion: record.version });
+  } catch (error) {
+    if (error.name === 'VersionConflictError') return;
+    throw error;
+  }
+  if (!claimed) return;
 
-    const payload = Buffer.from(JSON.stringify(message));
-    channel.publish(exchange, routingKey, payload, options);
-    console.log(`[shared/rabbitmq] published to exchange=${exchange} routingKey=${routingKey}`);
-    return true;
+  let lastError;
+  try {
+    // O id do registro identifica o evento em todas as tentativas de publicação
+    await publish(record.exchange, record.routingKey, record.message, { ...record.options, messageId: record.id });
+    await outboxDb.delete(record.id);
+    return;
   } catch (error) {
-    console.error('[shared/rabbitmq] publish failed:', error.message);
-    return false;
+    lastError = error.message;
   }
+
+  const attempts = record.attempts + 1;
+  const backoff = Math.min(1000 * 2 ** attempts, OUTBOX_MAX_BACKOFF);
+  await outboxDb.update(record.id, {
+    attempts,
+    nextAttemptAt: Date.now() + backoff,
+    claimedUntil: 0,
+    lastError: `${lastError} (${new Date().toISOString()})`
+  });
+  console.warn(`[shared/rabbitmq] outbox ${record.routingKey} (${record.id}) retry #${attempts} in ${backoff}ms`);
 }
 
 module.exports = {
   connect,
+  close,
   publish,
+  subscribe,
+  queueNames,
+  rpc,
+  serveRpc,
+  getStatus,
+  PublishError,
+  RpcError,
+  enqueue,
+  startOutboxRelay,
+  OUTBOX_COLLECTION,
   get url() { return RABBIT_URL; }
 };
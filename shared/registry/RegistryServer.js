@@ -0,0 +1,152 @@
+const http = require('http');
+const { RegistryStore } = require('./RegistryStore');
+
+const MAX_WATCH_TIMEOUT = 60000;
+const MAX_BODY_SIZE = 64 * 1024;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// API HTTP do registry (npm run registry), usada pelo cliente de shared/serviceRegistry:
+//   GET    /services[?epoch=&since=&wait=]  catálogo; com since, long-poll até mudar ou wait ms
+//   GET    /services/:nome                  instâncias de um serviço
+//   POST   /instances                       registra { service, url, instanceId, pid, metadata, leaseTtl }
+//   PUT    /instances/:id/heartbeat         renova o lease (404 se já foi despejada)
+//   PUT    /instances/:id/health            { healthy, ready?, checks? }
+//   DELETE /instances/:id
+//   GET    /evictions[?service=]            histórico de despejos
+class RegistryServer {
+    constructor(store = new RegistryStore()) {
+        this.store = store;
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        this.store.on('evicted', (entry) => {
+            console.warn(`Instância despejada (lease vencido): ${entry.id} - ${entry.url} (PID: ${entry.pid})`);
+        });
+    }
+
+    listen(port, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                this.store.start();
+                resolve(this.server.address());
+            });
+        });
+    }
+
+    async close() {
+        this.store.stop();
+        // closeAllConnections só existe a partir do Node 18.2; antes disso os long-polls
+        // pendentes terminam pelo próprio timeout
+        if (typeof this.server.closeAllConnections === 'function') {
+            this.server.closeAllConnections();
+        }
+        await new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    async handle(req, res) {
+        try {
+            const url = new URL(req.url, 'http://registry');
+            const body = ['POST', 'PUT'].includes(req.method) ? await readJson(req) : {};
+            const result = await this.route(req.method, url, body);
+            if (result === undefined) {
+                res.writeHead(204).end();
+            } else {
+                sendJson(res, result.status || 200, result.body);
+            }
+        } catch (error) {
+            sendJson(res, error.status || 500, { error: error.message });
+        }
+    }
+
+    async route(method, url, body) {
+        const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+        const [resource, id, action] = parts;
+
+        if (method === 'GET' && url.pathname === '/health') {
+            return { body: { status: 'OK', service: 'service-registry', instances: this.store.instances.size, version: this.store.version } };
+        }
+
+        if (resource === 'services' && method === 'GET') {
+            if (id) {
+                return { body: Object.values(this.store.snapshot().services[id] || {}) };
+            }
+            if (!url.searchParams.has('since')) {
+                return { body: this.store.snapshot() };
+            }
+            const wait = Math.min(parseInt(url.searchParams.get('wait'), 10) || 0, MAX_WATCH_TIMEOUT);
+            return {
+                body: await this.store.waitForChange({
+                    epoch: url.searchParams.get('epoch'),
+                    since: parseInt(url.searchParams.get('since'), 10),
+                    timeout: wait
+                })
+            };
+        }
+
+        if (resource === 'instances') {
+            if (method === 'POST' && !id) {
+                if (!body.service) throw new HttpError(400, 'service é obrigatório');
+                if (!body.url && !body.instanceId) throw new HttpError(400, 'instâncias sem url precisam de instanceId');
+                return { status: 201, body: this.store.register(body) };
+            }
+            if (method === 'PUT' && id && action === 'heartbeat') {
+                return { body: found(this.store.heartbeat(id), id) };
+            }
+            if (method === 'PUT' && id && action === 'health') {
+                if (typeof body.healthy !== 'boolean') throw new HttpError(400, 'healthy deve ser booleano');
+                if (body.ready !== undefined && typeof body.ready !== 'boolean') throw new HttpError(400, 'ready deve ser booleano');
+                return { body: found(this.store.setHealth(id, body), id) };
+            }
+            if (method === 'DELETE' && id && !action) {
+                found(this.store.deregister(id), id);
+                return undefined;
+            }
+        }
+
+        if (resource === 'evictions' && method === 'GET') {
+            return { body: this.store.getEvictions(url.searchParams.get('service')) };
+        }
+
+        throw new HttpError(404, `Rota não encontrada: ${method} ${url.pathname}`);
+    }
+}
+
+function found(result, id) {
+    if (!result) throw new HttpError(404, `Instância não registrada: ${id}`);
+    return result;
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => {
+            data += chunk;
+            if (data.length > MAX_BODY_SIZE) {
+                reject(new HttpError(413, 'Corpo da requisição muito grande'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : {});
+            } catch (error) {
+                reject(new HttpError(400, 'JSON inválido'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+module.exports = RegistryServer;
@@ -0,0 +1,159 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+const DEFAULT_LEASE_TTL = 15000;
+const EVICTION_HISTORY_LIMIT = 100;
+const SWEEP_INTERVAL = 1000;
+
+// Estado do registry (em memória, no processo do RegistryServer): instâncias por id com
+// lease renovado por heartbeat, despejo das que vencem e histórico de despejos.
+// healthy (o processo responde) e ready (dependências ok) vêm dos health checks; uma
+// instância não pronta fica fora do roteamento, mas só é despejada se o lease vencer.
+// Mudanças de membros (registro, remoção, despejo) e de healthy/ready incrementam version;
+// watchers aguardam uma versão maior que a que já têm. Heartbeats só renovam o lease, sem
+// acordar os watchers: a validade vem de leaseExpiresAt comparado a serverTime.
+// epoch muda a cada início do servidor, para que clientes percebam que o estado recomeçou.
+class RegistryStore extends EventEmitter {
+    constructor({ sweepInterval = SWEEP_INTERVAL, historyLimit = EVICTION_HISTORY_LIMIT } = {}) {
+        super();
+        // Cada long-poll em andamento escuta 'change'
+        this.setMaxListeners(0);
+        this.epoch = crypto.randomUUID();
+        this.version = 0;
+        this.instances = new Map();
+        this.evictions = [];
+        this.historyLimit = historyLimit;
+        this.sweepInterval = sweepInterval;
+        this.sweepTimer = null;
+    }
+
+    start() {
+        if (this.sweepTimer) return;
+        this.sweepTimer = setInterval(() => this.evictExpired(), this.sweepInterval);
+        this.sweepTimer.unref();
+    }
+
+    stop() {
+        clearInterval(this.sweepTimer);
+        this.sweepTimer = null;
+    }
+
+    // url é null para instâncias sem HTTP (workers)
+    register({ service, url = null, instanceId, pid = null, metadata = {}, leaseTtl = DEFAULT_LEASE_TTL }) {
+        const id = instanceId || `${service}@${url}`;
+        const now = Date.now();
+        const instance = {
+            id,
+            service,
+            url,
+            pid,
+            metadata,
+            registeredAt: now,
+            lastHealthCheck: now,
+            healthy: true,
+            ready: true,
+            checks: null,
+            leaseTtl,
+            lastHeartbeat: now,
+            leaseExpiresAt: now + leaseTtl
+        };
+        this.instances.set(id, instance);
+        this.changed();
+        return instance;
+    }
+
+    heartbeat(id) {
+        const instance = this.instances.get(id);
+        if (!instance) return null;
+
+        const now = Date.now();
+        instance.lastHeartbeat = now;
+        instance.leaseExpiresAt = now + instance.leaseTtl;
+        return instance;
+    }
+
+    // ready e checks (resultado de /health/ready) são opcionais; sem ready, mantém o anterior
+    setHealth(id, { healthy, ready, checks }) {
+        const instance = this.instances.get(id);
+        if (!instance) return null;
+
+        const flipped = instance.healthy !== healthy || (ready !== undefined && instance.ready !== ready);
+        instance.healthy = healthy;
+        if (ready !== undefined) instance.ready = ready;
+        if (checks !== undefined) instance.checks = checks;
+        instance.lastHealthCheck = Date.now();
+        if (flipped) this.changed();
+        return instance;
+    }
+
+    deregister(id) {
+        const removed = this.instances.delete(id);
+        if (removed) this.changed();
+        return removed;
+    }
+
+    evictExpired(now = Date.now()) {
+        const expired = [...this.instances.values()].filter(instance => instance.leaseExpiresAt <= now);
+        if (expired.length === 0) return [];
+
+        const evicted = expired.map((instance) => {
+            this.instances.delete(instance.id);
+            return {
+                id: instance.id,
+                service: instance.service,
+                url: instance.url,
+                pid: instance.pid,
+                reason: 'lease-expired',
+                lastHeartbeat: new Date(instance.lastHeartbeat).toISOString(),
+                leaseAge: now - instance.lastHeartbeat,
+                evictedAt: new Date(now).toISOString()
+            };
+        });
+        this.evictions = this.evictions.concat(evicted).slice(-this.historyLimit);
+        evicted.forEach(entry => this.emit('evicted', entry));
+        this.changed();
+        return evicted;
+    }
+
+    getEvictions(service) {
+        return service ? this.evictions.filter(entry => entry.service === service) : this.evictions;
+    }
+
+    // { epoch, version, services: { <serviço>: { <id>: instância } } }
+    snapshot() {
+        const services = {};
+        this.instances.forEach((instance) => {
+            services[instance.service] = services[instance.service] || {};
+            services[instance.service][instance.id] = instance;
+        });
+        return { epoch: this.epoch, version: this.version, serverTime: Date.now(), services };
+    }
+
+    changed() {
+        this.version++;
+        this.emit('change', this.version);
+    }
+
+    // Resolve com o snapshot assim que houver versão posterior a since (na mesma epoch) ou
+    // ao fim de timeout, o que vier primeiro
+    waitForChange({ epoch, since, timeout }) {
+        if (epoch !== this.epoch || !(since >= 0) || this.version > since) {
+            return Promise.resolve(this.snapshot());
+        }
+
+        return new Promise((resolve) => {
+            const done = () => {
+                clearTimeout(timer);
+                this.off('change', done);
+                resolve(this.snapshot());
+            };
+            const timer = setTimeout(done, timeout);
+            this.on('change', done);
+        });
+    }
+}
+
+module.exports = {
+    RegistryStore,
+    DEFAULT_LEASE_TTL
+};
@@ -0,0 +1,13 @@
+const { RegistryStore, DEFAULT_LEASE_TTL } = require('./RegistryStore');
+const RegistryServer = require('./RegistryServer');
+
+// Servidor do service registry (npm run registry); o cliente usado pelos serviços e pelo
+// gateway é o shared/serviceRegistry, que o encontra em SERVICE_REGISTRY_URL
+const DEFAULT_REGISTRY_URL = 'http://127.0.0.1:3100';
+
+module.exports = {
+    DEFAULT_REGISTRY_URL,
+    DEFAULT_LEASE_TTL,
+    RegistryStore,
+    RegistryServer
+};
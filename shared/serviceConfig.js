@@ -0,0 +1,94 @@
+const os = require('os');
+const serviceRegistry = require('./serviceRegistry');
+
+// Endereço de cada serviço vem do ambiente, primeiro com o prefixo do serviço
+// (LIST_SERVICE_PORT, API_GATEWAY_HOST...) e depois pelas variáveis genéricas:
+//   <PREFIXO>_HOST            interface onde escutar (padrão: todas)
+//   <PREFIXO>_PORT            porta; 0 escolhe uma livre e a porta efetiva é a registrada
+//   <PREFIXO>_ADVERTISED_URL  URL anunciada no registry (padrão http://<host ou localhost>:<porta>)
+//   <PREFIXO>_TAGS            tags extras da instância, separadas por vírgula
+function envPrefix(serviceName) {
+  return serviceName.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+}
+
+function readEnv(prefix, name) {
+  const value = process.env[`${prefix}_${name}`];
+  return value !== undefined && value !== '' ? value : process.env[name];
+}
+
+function parseTags(value) {
+  return (value || '').split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+// Configuração de um serviço HTTP; port é o padrão quando o ambiente não define um
+function loadServiceConfig(serviceName, { port, version, endpoints = [], tags = [], metadata = {} } = {}) {
+  const prefix = envPrefix(serviceName);
+  const rawPort = readEnv(prefix, 'PORT');
+  const resolvedPort = rawPort === undefined ? port : Number(rawPort);
+  if (!Number.isInteger(resolvedPort) || resolvedPort < 0 || resolvedPort > 65535) {
+    throw new Error(`Porta inválida para ${serviceName}: ${rawPort}`);
+  }
+
+  return {
+    name: serviceName,
+    host: readEnv(prefix, 'HOST') || null,
+    port: resolvedPort,
+    advertisedUrl: readEnv(prefix, 'ADVERTISED_URL') || null,
+    metadata: {
+      ...metadata,
+      version,
+      endpoints,
+      tags: [...new Set([...tags, ...parseTags(readEnv(prefix, 'TAGS'))])]
+    }
+  };
+}
+
+// URL anunciada: a configurada ou o host e a porta efetivos (0.0.0.0 e :: viram localhost)
+function advertisedUrl(config, port) {
+  if (config.advertisedUrl) return config.advertisedUrl.replace(/\/+$/, '');
+
+  const host = !config.host || config.host === '0.0.0.0' || config.host === '::' ? 'localhost' : config.host;
+  return `http://${host.includes(':') ? `[${host}]` : host}:${port}`;
+}
+
+// Sobe o app na porta configurada e registra a instância com a porta efetiva.
+// Resolve com { server, port, url, instanceId }; rejeita se a porta não puder ser usada.
+function listenAndRegister(app, config) {
+  return new Promise((resolve, reject) => {
+    const server = config.host ? app.listen(config.port, config.host) : app.listen(config.port);
+    server.once('error', reject);
+    server.once('listening', () => {
+      server.off('error', reject);
+      const { port } = server.address();
+      const url = advertisedUrl(config, port);
+      const instanceId = serviceRegistry.register(config.name, {
+        url,
+        metadata: { ...config.metadata, host: config.host || os.hostname(), port }
+      });
+      resolve({ server, port, url, instanceId });
+    });
+  });
+}
+
+// Workers não escutam porta: aparecem no registry sem url (fora do roteamento e dos health checks)
+function registerWorker(workerName, { version, tags = [], metadata = {} } = {}) {
+  const prefix = envPrefix(workerName);
+  return serviceRegistry.register(workerName, {
+    url: null,
+    instanceId: `${workerName}@${os.hostname()}:${process.pid}`,
+    metadata: {
+      ...metadata,
+      version,
+      tags: [...new Set([...tags, ...parseTags(readEnv(prefix, 'TAGS'))])],
+      host: os.hostname()
+    }
+  });
+}
+
+module.exports = {
+  envPrefix,
+  loadServiceConfig,
+  advertisedUrl,
+  listenAndRegister,
+  registerWorker
+};
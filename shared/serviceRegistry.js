@@ -1,211 +1,496 @@
-const fs = require('fs');
-const path = require('path');
+const axios = require('axios');
+const loadBalancing = require('./loadBalancing');
+const { DEFAULT_REGISTRY_URL, DEFAULT_LEASE_TTL } = require('./registry');
 
-class FileBasedServiceRegistry {
-    constructor() {
-        this.registryFile = path.join(__dirname, 'services-registry.json');
-        this.ensureRegistryFile();
-        console.log('File-based Service Registry inicializado:', this.registryFile);
+const REGISTRY_URL = process.env.SERVICE_REGISTRY_URL || DEFAULT_REGISTRY_URL;
+const LEASE_TTL = parseInt(process.env.SERVICE_LEASE_TTL, 10) || DEFAULT_LEASE_TTL;
+// Long-poll do catálogo, timeout das demais chamadas e backoff enquanto o registry está fora
+const WATCH_TIMEOUT = 25000;
+const REQUEST_TIMEOUT = 3000;
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 10000;
+
+// Cliente do service registry HTTP (shared/registry, npm run registry). Escritas (register,
+// heartbeat, unregister, updateHealth) vão para o servidor; leituras (discover, listServices...)
+// usam o catálogo em cache, mantido por long-poll em GET /services. Se o registry ficar fora
+// do ar, o cache continua com o último estado conhecido (stale) e os registros deste processo
+// são refeitos quando ele voltar.
+//
+// Cada serviço tem várias instâncias (id, url, pid, metadata) com lease renovado por heartbeat;
+// discover() escolhe uma saudável e pronta pela estratégia de balanceamento (shared/loadBalancing).
+class ServiceRegistryClient {
+    constructor({ url = REGISTRY_URL, strategy = process.env.SERVICE_DISCOVERY_STRATEGY || loadBalancing.DEFAULT_STRATEGY } = {}) {
+        this.url = url;
+        this.http = axios.create({ baseURL: url, timeout: REQUEST_TIMEOUT });
+        this.strategy = loadBalancing.getStrategy(strategy);
+        this.strategyName = typeof strategy === 'string' ? strategy : strategy.name || 'custom';
+        // Estado do balanceamento neste processo: chamadas por serviço e requisições em andamento por instância
+        this.sequences = new Map();
+        this.inFlight = new Map();
+        // Instâncias registradas por este processo (renovadas por heartbeat)
+        this.registrations = new Map();
+
+        this.catalog = { epoch: null, version: null, services: {} };
+        this.sync = { syncedAt: null, stale: true, lastError: null, failures: 0, clockOffset: 0 };
+        this.watching = false;
+        this.watchController = null;
+        this.wakeWatcher = null;
+        this.ready = new Promise((resolve) => {
+            this.resolveReady = resolve;
+        });
+    }
+
+    // A mesma url é a mesma instância: re-registrar substitui a entrada
+    instanceIdFor(serviceName, url) {
+        try {
+            return `${serviceName}@${new URL(url).host}`;
+        } catch (error) {
+            return `${serviceName}@${url}`;
+        }
     }
 
-    ensureRegistryFile() {
-        if (!fs.existsSync(this.registryFile)) {
-            this.writeRegistry({});
+    // Registrar uma instância; campos além de url/metadata/instanceId/leaseTtl/renew também vão
+    // para metadata. Com renew (padrão), este processo renova o lease até unregister ou a saída;
+    // sem renew, a entrada vale por um TTL. Retorna o id da instância na hora; o envio ao
+    // registry (e as novas tentativas, se ele estiver fora) acontece em segundo plano.
+    register(serviceName, { url, metadata = {}, instanceId, leaseTtl = LEASE_TTL, renew = true, ...extra }) {
+        const id = instanceId || this.instanceIdFor(serviceName, url);
+        this.stopHeartbeat(id);
+
+        const registration = {
+            id,
+            body: {
+                service: serviceName,
+                url,
+                instanceId: id,
+                pid: process.pid,
+                metadata: { ...extra, ...metadata },
+                leaseTtl
+            },
+            registered: false,
+            failing: false,
+            timer: null
+        };
+
+        if (renew) {
+            registration.timer = setInterval(() => this.renew(registration), Math.max(Math.floor(leaseTtl / 3), 100));
+            registration.timer.unref();
+            this.registrations.set(id, registration);
         }
+        this.sendRegistration(registration);
+        return id;
     }
 
-    readRegistry() {
+    async sendRegistration(registration) {
         try {
-            const data = fs.readFileSync(this.registryFile, 'utf8');
-            return JSON.parse(data);
+            const { data: instance } = await this.http.post('/instances', registration.body);
+            registration.registered = true;
+            registration.failing = false;
+            this.cacheInstance(instance);
+            console.log(`Serviço registrado: ${instance.service} - ${instance.url || 'sem url'} (instância: ${instance.id}, PID: ${instance.pid}, lease: ${instance.leaseTtl}ms)`);
+            return true;
         } catch (error) {
-            console.error('Erro ao ler registry file:', error.message);
-            return {};
+            if (!registration.failing) {
+                console.warn(`Registry indisponível (${this.url}), registro de ${registration.id} será refeito: ${error.message}`);
+            }
+            registration.failing = true;
+            return false;
         }
     }
 
-    writeRegistry(services) {
+    // Heartbeat: renova o lease; se a instância não está mais lá (lease vencido, registry
+    // reiniciado), registra de novo com os dados originais
+    async renew(registration) {
+        if (!registration.registered) {
+            return this.sendRegistration(registration);
+        }
+
         try {
-            fs.writeFileSync(this.registryFile, JSON.stringify(services, null, 2));
+            await this.http.put(`/instances/${encodeURIComponent(registration.id)}/heartbeat`);
+            registration.failing = false;
+            return true;
         } catch (error) {
-            console.error('Erro ao escrever registry file:', error.message);
+            if (error.response && error.response.status === 404) {
+                console.warn(`Instância ${registration.id} não está no registry (lease vencido?), registrando novamente`);
+                registration.registered = false;
+                return this.sendRegistration(registration);
+            }
+            if (!registration.failing) {
+                console.warn(`Heartbeat de ${registration.id} falhou: ${error.message}`);
+            }
+            registration.failing = true;
+            return false;
         }
     }
 
-    // Registrar um serviço
-    register(serviceName, serviceInfo) {
-        const services = this.readRegistry();
-        
-        services[serviceName] = {
-            ...serviceInfo,
-            registeredAt: Date.now(),
-            lastHealthCheck: Date.now(),
-            healthy: true,
-            pid: process.pid
-        };
-        
-        this.writeRegistry(services);
-        console.log(`Serviço registrado: ${serviceName} - ${serviceInfo.url} (PID: ${process.pid})`);
-        console.log(`Total de serviços: ${Object.keys(services).length}`);
-    }
-
-    // Descobrir um serviço
-    discover(serviceName) {
-        const services = this.readRegistry();
-        console.log(`Procurando serviço: ${serviceName}`);
-        console.log(`Serviços disponíveis: ${Object.keys(services).join(', ')}`);
-        
-        const service = services[serviceName];
-        if (!service) {
+    stopHeartbeat(instanceId) {
+        const registration = this.registrations.get(instanceId);
+        if (registration) clearInterval(registration.timer);
+        this.registrations.delete(instanceId);
+    }
+
+    // Ids informados ou, sem instanceId, as instâncias do serviço registradas por este processo
+    ownInstanceIds(serviceName, instanceId) {
+        if (instanceId) return [instanceId];
+        return [...this.registrations.values()]
+            .filter(registration => registration.body.service === serviceName)
+            .map(registration => registration.id);
+    }
+
+    // Remover uma instância; sem instanceId, remove as instâncias do serviço registradas por este processo
+    async unregister(serviceName, instanceId) {
+        const ids = this.ownInstanceIds(serviceName, instanceId);
+        const results = await Promise.all(ids.map(async (id) => {
+            this.stopHeartbeat(id);
+            this.uncacheInstance(serviceName, id);
+            try {
+                await this.http.delete(`/instances/${encodeURIComponent(id)}`);
+                console.log(`Instância removida: ${serviceName} - ${id}`);
+                return true;
+            } catch (error) {
+                if (!error.response || error.response.status !== 404) {
+                    console.warn(`Não foi possível remover ${id} do registry: ${error.message}`);
+                }
+                return false;
+            }
+        }));
+        return results.some(Boolean);
+    }
+
+    // Health check de uma instância; sem instanceId, das instâncias do serviço registradas por este processo.
+    // readiness ({ ready, checks }) é opcional: instância viva mas não pronta fica fora do discover
+    async updateHealth(serviceName, healthy, instanceId, { ready, checks } = {}) {
+        const ids = this.ownInstanceIds(serviceName, instanceId);
+        await Promise.all(ids.map(async (id) => {
+            const cached = (this.catalog.services[serviceName] || {})[id];
+            if (cached) {
+                cached.healthy = healthy;
+                if (ready !== undefined) cached.ready = ready;
+                if (checks !== undefined) cached.checks = checks;
+            }
+            try {
+                await this.http.put(`/instances/${encodeURIComponent(id)}/health`, { healthy, ready, checks });
+            } catch (error) {
+                console.warn(`Não foi possível atualizar a saúde de ${id} no registry: ${error.message}`);
+            }
+        }));
+        const state = !healthy ? 'FAIL' : ready === false ? 'NOT READY' : 'OK';
+        console.log(`Health check: ${serviceName} (${ids.join(', ')}) - ${state}`);
+    }
+
+    // Passa a acompanhar o catálogo; resolve após a primeira tentativa de sincronização
+    startWatching() {
+        if (!this.watching) {
+            this.watching = true;
+            this.watchLoop();
+        }
+        return this.ready;
+    }
+
+    stopWatching() {
+        this.watching = false;
+        if (this.watchController) this.watchController.abort();
+        if (this.wakeWatcher) this.wakeWatcher();
+    }
+
+    async watchLoop() {
+        while (this.watching) {
+            const controller = new AbortController();
+            this.watchController = controller;
+            try {
+                const { epoch, version } = this.catalog;
+                const params = epoch ? { epoch, since: version, wait: WATCH_TIMEOUT } : {};
+                const { data } = await this.http.get('/services', {
+                    params,
+                    timeout: WATCH_TIMEOUT + REQUEST_TIMEOUT,
+                    signal: controller.signal
+                });
+                this.applyCatalog(data);
+            } catch (error) {
+                if (!this.watching) break;
+                this.markUnreachable(error);
+                const delay = Math.min(RETRY_BASE_DELAY * 2 ** (this.sync.failures - 1), RETRY_MAX_DELAY);
+                await new Promise((resolve) => {
+                    const timer = setTimeout(resolve, delay);
+                    this.wakeWatcher = () => {
+                        clearTimeout(timer);
+                        resolve();
+                    };
+                });
+                this.wakeWatcher = null;
+            } finally {
+                this.resolveReady();
+            }
+        }
+    }
+
+    applyCatalog(catalog) {
+        if (this.sync.stale && this.sync.failures > 0) {
+            console.log(`Registry acessível novamente (${this.url})`);
+        }
+        this.catalog = catalog;
+        Object.assign(this.sync, {
+            syncedAt: Date.now(),
+            stale: false,
+            lastError: null,
+            failures: 0,
+            clockOffset: catalog.serverTime - Date.now()
+        });
+    }
+
+    markUnreachable(error) {
+        if (!this.sync.stale || this.sync.failures === 0) {
+            console.warn(`Registry indisponível (${this.url}): ${error.message}; usando o último catálogo conhecido (${Object.keys(this.catalog.services).length} serviço(s))`);
+        }
+        this.sync.failures++;
+        this.sync.stale = true;
+        this.sync.lastError = error.message;
+    }
+
+    // Relê o catálogo completo. Heartbeats não acordam o long-poll, então a idade dos leases
+    // no cache só é atual depois de uma mudança ou de um refresh (ex.: GET /registry do gateway)
+    async refresh() {
+        const { data } = await this.http.get('/services');
+        this.applyCatalog(data);
+        return data.services;
+    }
+
+    // O próprio processo enxerga o que registrou antes do próximo long-poll
+    cacheInstance(instance) {
+        const services = this.catalog.services;
+        services[instance.service] = { ...services[instance.service], [instance.id]: instance };
+    }
+
+    uncacheInstance(serviceName, id) {
+        const instances = this.catalog.services[serviceName];
+        if (!instances) return;
+        delete instances[id];
+        if (Object.keys(instances).length === 0) delete this.catalog.services[serviceName];
+    }
+
+    // Catálogo em cache (inicia o acompanhamento na primeira leitura)
+    readCatalog() {
+        this.startWatching();
+        return this.catalog.services;
+    }
+
+    // Descobrir uma instância saudável do serviço (strategy sobrescreve a padrão do registry)
+    discover(serviceName, { strategy } = {}) {
+        const services = this.readCatalog();
+        const instances = Object.values(services[serviceName] || {});
+
+        if (instances.length === 0) {
             console.error(`Serviço não encontrado: ${serviceName}`);
             console.error(`Serviços registrados:`, Object.keys(services));
             throw new Error(`Serviço não encontrado: ${serviceName}`);
         }
-        
-        if (!service.healthy) {
-            console.error(`Serviço indisponível: ${serviceName}`);
+
+        const healthy = instances
+            .filter(isAvailable)
+            .sort((a, b) => a.id.localeCompare(b.id));
+        if (healthy.length === 0) {
+            console.error(`Serviço indisponível: ${serviceName} (${instances.length} instância(s), nenhuma saudável e pronta)`);
             throw new Error(`Serviço indisponível: ${serviceName}`);
         }
-        
-        console.log(`Serviço encontrado: ${serviceName} - ${service.url}`);
-        return service;
+
+        const sequence = this.sequences.get(serviceName) || 0;
+        this.sequences.set(serviceName, sequence + 1);
+
+        const choose = strategy ? loadBalancing.getStrategy(strategy) : this.strategy;
+        const instance = choose(healthy, {
+            serviceName,
+            sequence,
+            inFlight: id => this.inFlight.get(id) || 0
+        }) || healthy[0];
+
+        console.log(`Serviço encontrado: ${serviceName} - ${instance.url} (${instance.id}, ${healthy.length}/${instances.length} saudável(is))`);
+        return instance;
     }
 
-    // Listar todos os serviços
+    // Marca uma requisição em andamento para a instância (least-in-flight); chamar o retorno ao terminar
+    acquire(instance) {
+        this.inFlight.set(instance.id, (this.inFlight.get(instance.id) || 0) + 1);
+
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            const remaining = (this.inFlight.get(instance.id) || 1) - 1;
+            if (remaining > 0) {
+                this.inFlight.set(instance.id, remaining);
+            } else {
+                this.inFlight.delete(instance.id);
+            }
+        };
+    }
+
+    // Descobre uma instância e executa fn(instance) contando a requisição como em andamento
+    async withInstance(serviceName, fn, options) {
+        const instance = this.discover(serviceName, options);
+        const release = this.acquire(instance);
+        try {
+            return await fn(instance);
+        } finally {
+            release();
+        }
+    }
+
+    // Listar todos os serviços com suas instâncias
     listServices() {
-        const services = this.readRegistry();
+        const services = this.readCatalog();
+        const now = Date.now() + this.sync.clockOffset;
         const serviceList = {};
-        
-        Object.entries(services).forEach(([name, service]) => {
+
+        Object.entries(services).forEach(([name, instances]) => {
+            const list = Object.values(instances).map(instance => ({
+                id: instance.id,
+                url: instance.url,
+                healthy: instance.healthy,
+                ready: instance.ready !== false,
+                checks: instance.checks || null,
+                lastHealthCheck: new Date(instance.lastHealthCheck).toISOString(),
+                registeredAt: new Date(instance.registeredAt).toISOString(),
+                uptime: now - instance.registeredAt,
+                pid: instance.pid,
+                metadata: instance.metadata || {},
+                inFlight: this.inFlight.get(instance.id) || 0,
+                lease: {
+                    ttl: instance.leaseTtl,
+                    lastHeartbeat: new Date(instance.lastHeartbeat).toISOString(),
+                    age: now - instance.lastHeartbeat,
+                    expiresIn: instance.leaseExpiresAt - now
+                }
+            }));
+
             serviceList[name] = {
-                url: service.url,
-                healthy: service.healthy,
-                registeredAt: new Date(service.registeredAt).toISOString(),
-                uptime: Date.now() - service.registeredAt,
-                pid: service.pid
+                healthy: list.some(instance => instance.healthy),
+                ready: list.some(isAvailable),
+                instances: list
             };
         });
-        
+
         return serviceList;
     }
 
-    // Remover serviço
-    unregister(serviceName) {
-        const services = this.readRegistry();
-        if (services[serviceName]) {
-            delete services[serviceName];
-            this.writeRegistry(services);
-            console.log(`Serviço removido: ${serviceName}`);
-            return true;
+    // Instâncias registradas (de um serviço ou de todos); workers vêm sem url
+    listInstances(serviceName) {
+        const services = this.readCatalog();
+        const names = serviceName ? [serviceName] : Object.keys(services);
+        return names.flatMap(name => Object.values(services[name] || {}));
+    }
+
+    // Histórico de despejos, consultado no registry
+    async getEvictions(serviceName) {
+        const { data } = await this.http.get('/evictions', { params: serviceName ? { service: serviceName } : {} });
+        return data;
+    }
+
+    // Health check de uma instância com url: /health/live decide se está saudável e
+    // /health/ready se está pronta. Uma instância viva com dependência crítica fora (503 em
+    // /health/ready) é marcada como não pronta, sem ser removida. Retorna { healthy, ready, checks }.
+    async checkInstance(instance) {
+        try {
+            await axios.get(`${instance.url}/health/live`, { timeout: 5000, family: 4 });
+        } catch (error) {
+            console.error(`Health check falhou para ${instance.id}:`, error.message);
+            await this.updateHealth(instance.service, false, instance.id);
+            return { healthy: false, ready: false, checks: null };
         }
-        return false;
-    }
-
-    // Health check de um serviço
-    updateHealth(serviceName, healthy) {
-        const services = this.readRegistry();
-        if (services[serviceName]) {
-            services[serviceName].healthy = healthy;
-            services[serviceName].lastHealthCheck = Date.now();
-            this.writeRegistry(services);
-            const status = healthy ? 'OK' : 'FAIL';
-            console.log(`Health check: ${serviceName} - ${status}`);
+
+        const readiness = await axios.get(`${instance.url}/health/ready`, {
+            timeout: 5000,
+            family: 4,
+            validateStatus: status => status === 200 || status === 503
+        }).then(
+            ({ data }) => ({ ready: data.ready !== false, checks: data.checks || null }),
+            error => ({ ready: false, checks: { readiness: { status: 'down', error: error.message } } })
+        );
+        if (!readiness.ready) {
+            const failed = Object.entries(readiness.checks || {})
+                .filter(([, check]) => check.status === 'down')
+                .map(([name, check]) => `${name}: ${check.error}`);
+            console.warn(`Instância ${instance.id} não está pronta (${failed.join('; ')})`);
         }
+        await this.updateHealth(instance.service, true, instance.id, readiness);
+        return { healthy: true, ...readiness };
     }
 
-    // Health check de todos os serviços
+    // Health check de todas as instâncias (workers, sem url, ficam de fora)
     async performHealthChecks() {
-        const axios = require('axios');
-        const services = this.readRegistry();
-        
-        console.log(`Executando health checks de ${Object.keys(services).length} serviços...`);
-        
-        for (const [serviceName, service] of Object.entries(services)) {
-            try {
-                await axios.get(`${service.url}/health`, { 
-                    timeout: 5000,
-                    family: 4
-                });
-                this.updateHealth(serviceName, true);
-            } catch (error) {
-                console.error(`Health check falhou para ${serviceName}:`, error.message);
-                this.updateHealth(serviceName, false);
-            }
+        const instances = this.listInstances().filter(instance => instance.url);
+
+        console.log(`Executando health checks de ${instances.length} instâncias...`);
+
+        for (const instance of instances) {
+            await this.checkInstance(instance);
         }
     }
 
     // Debug: listar serviços registrados
     debugListServices() {
-        const services = this.readRegistry();
-        console.log('DEBUG - Serviços registrados:');
-        Object.entries(services).forEach(([name, service]) => {
-            console.log(`   ${name}: ${service.url} (${service.healthy ? 'healthy' : 'unhealthy'}) PID:${service.pid}`);
+        const services = this.readCatalog();
+        console.log(`DEBUG - Serviços registrados (${this.sync.stale ? 'cache desatualizado' : 'sincronizado'}):`);
+        Object.entries(services).forEach(([name, instances]) => {
+            console.log(`   ${name}:`);
+            Object.values(instances).forEach((instance) => {
+                const state = !instance.healthy ? 'unhealthy' : instance.ready === false ? 'not ready' : 'healthy';
+                console.log(`      ${instance.id}: ${instance.url} (${state}) PID:${instance.pid}`);
+            });
         });
     }
 
-    // Verificar se um serviço existe
+    // Verificar se um serviço tem instâncias registradas
     hasService(serviceName) {
-        const services = this.readRegistry();
-        return services.hasOwnProperty(serviceName);
+        return Object.keys(this.readCatalog()[serviceName] || {}).length > 0;
     }
 
-    // Obter estatísticas
+    // Obter estatísticas (contadas por instância) e o estado da sincronização com o registry
     getStats() {
-        const services = this.readRegistry();
-        const total = Object.keys(services).length;
-        let healthy = 0;
-        let unhealthy = 0;
-
-        Object.values(services).forEach(service => {
-            if (service.healthy) {
-                healthy++;
-            } else {
-                unhealthy++;
-            }
-        });
+        const services = this.readCatalog();
+        const instances = Object.values(services).flatMap(entry => Object.values(entry));
+        const healthy = instances.filter(instance => instance.healthy).length;
+        const ready = instances.filter(isAvailable).length;
 
-        return { total, healthy, unhealthy };
+        return {
+            services: Object.keys(services).length,
+            total: instances.length,
+            healthy,
+            unhealthy: instances.length - healthy,
+            unready: healthy - ready,
+            strategy: this.strategyName,
+            registry: {
+                url: this.url,
+                stale: this.sync.stale,
+                syncedAt: this.sync.syncedAt ? new Date(this.sync.syncedAt).toISOString() : null,
+                version: this.catalog.version,
+                lastError: this.sync.lastError
+            }
+        };
     }
 
-    // Limpar registry (útil para desenvolvimento)
-    clear() {
-        this.writeRegistry({});
-        console.log('Registry limpo');
+    // Hook de encerramento: remove do registry as instâncias registradas por este processo e
+    // para o acompanhamento do catálogo
+    async cleanup() {
+        const registrations = [...this.registrations.values()];
+        await Promise.all(registrations.map(registration => this.unregister(registration.body.service, registration.id)));
+        this.close();
     }
 
-    // Cleanup na saída do processo
-    cleanup() {
-        // Remove serviços deste PID ao sair
-        const services = this.readRegistry();
-        const currentPid = process.pid;
-        let changed = false;
-
-        Object.entries(services).forEach(([name, service]) => {
-            if (service.pid === currentPid) {
-                delete services[name];
-                changed = true;
-                console.log(`Removendo serviço ${name} do PID ${currentPid}`);
-            }
-        });
-
-        if (changed) {
-            this.writeRegistry(services);
-        }
+    // Para o acompanhamento do catálogo e os heartbeats (sem remover as instâncias)
+    close() {
+        this.stopWatching();
+        [...this.registrations.keys()].forEach(id => this.stopHeartbeat(id));
     }
 }
 
-// Criar instância singleton
-const registry = new FileBasedServiceRegistry();
-
-// Cleanup ao sair do processo
-process.on('exit', () => registry.cleanup());
-process.on('SIGINT', () => {
-    registry.cleanup();
-    process.exit(0);
-});
-process.on('SIGTERM', () => {
-    registry.cleanup();
-    process.exit(0);
-});
-
-module.exports = registry;
\ No newline at end of file
+// Disponível para roteamento: saudável e pronta
+function isAvailable(instance) {
+    return instance.healthy && instance.ready !== false;
+}
+
+// Criar instância singleton. O módulo não instala handlers de sinal: cada processo chama
+// cleanup() no próprio encerramento; se morrer sem chamar, o registry despeja suas
+// instâncias quando o lease vencer
+const registry = new ServiceRegistryClient();
+
+module.exports = registry;
@@ -0,0 +1,158 @@
+const fs = require('fs-extra');
+const path = require('path');
+const {
+    TRANSACTION_LOCK_FILE,
+    TRANSACTION_JOURNAL_FILE,
+    parseCollection,
+    writeJsonTemp,
+    writeJsonAtomic,
+    removeStaleTempFiles,
+    acquireLock,
+    recoverJournal,
+    commitWithJournal
+} = require('./common');
+
+// Armazenamento padrão: cada coleção em <coleção>.json, regravado por inteiro (temporário + rename)
+// a cada escrita, índice em <coleção>_index.json e locks em arquivo entre processos.
+class FileStorage {
+    constructor(dbPath) {
+        this.dbPath = dbPath;
+        this.indexCache = new Map();
+    }
+
+    filePath(name) {
+        return path.join(this.dbPath, `${name}.json`);
+    }
+
+    indexPath(name) {
+        return path.join(this.dbPath, `${name}_index.json`);
+    }
+
+    lockPath(name) {
+        return path.join(this.dbPath, `${name}.lock`);
+    }
+
+    // Arquivos da coleção, usados por ferramentas que operam sobre o diretório
+    files(name) {
+        return [this.filePath(name), this.indexPath(name)];
+    }
+
+    // Coleções existentes no diretório
+    async listCollections() {
+        const files = await fs.readdir(this.dbPath).catch(error => {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        });
+        return files
+            .filter(file => file.endsWith('.json') && !file.endsWith('_index.json') && file !== TRANSACTION_JOURNAL_FILE)
+            .map(file => file.slice(0, -'.json'.length))
+            .sort();
+    }
+
+    async init(name) {
+        // Criar diretório do banco se não existir
+        await fs.ensureDir(this.dbPath);
+        await recoverJournal(this.dbPath);
+        await removeStaleTempFiles(this.dbPath, this.files(name).map(file => path.basename(file)));
+
+        // Criar arquivo da coleção se não existir (flag wx evita sobrescrever outro processo)
+        try {
+            await fs.writeFile(this.filePath(name), '[]', { flag: 'wx' });
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+    }
+
+    async readDocuments(name) {
+        const filePath = this.filePath(name);
+        let content;
+        try {
+            content = await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        return parseCollection(content, filePath);
+    }
+
+    // Índice da coleção ou null se ainda não existir. Com cached, o objeto é compartilhado
+    // entre leituras (não deve ser alterado) e só é relido quando o arquivo muda.
+    async readIndex(name, { cached = false } = {}) {
+        const indexPath = this.indexPath(name);
+        try {
+            if (!cached) {
+                return await fs.readJson(indexPath);
+            }
+
+            const stats = await fs.stat(indexPath);
+            const entry = this.indexCache.get(name);
+            if (entry && entry.mtimeMs === stats.mtimeMs && entry.size === stats.size) {
+                return entry.index;
+            }
+
+            const index = await fs.readJson(indexPath);
+            this.indexCache.set(name, { mtimeMs: stats.mtimeMs, size: stats.size, index });
+            return index;
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // Deve ser chamado dentro do lock da coleção
+    async writeIndex(name, index) {
+        await writeJsonAtomic(this.indexPath(name), index);
+        this.indexCache.delete(name);
+    }
+
+    // Grava [{ name, documents, index, changes }] dentro dos locks das coleções. Com mais de uma
+    // coleção, o ponto de commit é o journal com os temporários já gravados; se o processo cair
+    // depois dele, a próxima inicialização (ou o próximo lock) conclui os renames.
+    async commit(entries) {
+        if (entries.length === 1) {
+            const [{ name, documents, index }] = entries;
+            await writeJsonAtomic(this.filePath(name), documents);
+            await this.writeIndex(name, index);
+            return;
+        }
+
+        const renames = [];
+        try {
+            for (const { name, documents, index } of entries) {
+                renames.push({ tempPath: await writeJsonTemp(this.filePath(name), documents), targetPath: this.filePath(name) });
+                renames.push({ tempPath: await writeJsonTemp(this.indexPath(name), index), targetPath: this.indexPath(name) });
+            }
+        } catch (error) {
+            await Promise.all(renames.map(entry => fs.remove(entry.tempPath).catch(() => {})));
+            throw error;
+        }
+
+        await commitWithJournal(this.dbPath, renames);
+        entries.forEach(({ name }) => this.indexCache.delete(name));
+    }
+
+    // Health check: grava (com fsync) e remove um arquivo temporário no diretório do banco
+    async probe() {
+        const tempPath = await writeJsonTemp(path.join(this.dbPath, '.health-probe'), { pid: process.pid, at: Date.now() });
+        await fs.remove(tempPath);
+    }
+
+    // Lock de escrita da coleção; conclui antes uma transação interrompida cujo lock expirou
+    async lock(name) {
+        const release = await acquireLock(this.lockPath(name));
+        try {
+            await recoverJournal(this.dbPath);
+        } catch (error) {
+            await release();
+            throw error;
+        }
+        return release;
+    }
+
+    // Serializa transações do diretório
+    lockDirectory() {
+        return acquireLock(path.join(this.dbPath, TRANSACTION_LOCK_FILE));
+    }
+}
+
+module.exports = FileStorage;
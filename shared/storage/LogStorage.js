@@ -0,0 +1,208 @@
+const fs = require('fs-extra');
+const path = require('path');
+const FileStorage = require('./FileStorage');
+const {
+    CorruptCollectionError,
+    clone,
+    parseCollection,
+    writeJsonTemp,
+    writeJsonAtomic,
+    appendToLog,
+    completeLength,
+    commitWithJournal
+} = require('./common');
+
+// Compactação periódica: intervalo entre verificações e tamanho do log que a dispara
+const COMPACT_INTERVAL = 60000;
+const COMPACT_THRESHOLD = 1024 * 1024;
+
+// Log append-only: <coleção>.json é o snapshot (mesmo formato do FileStorage) e cada escrita
+// acrescenta linhas { op: 'put', document } / { op: 'delete', id } em <coleção>.log.
+// As operações carregam o estado final do documento, então reaplicar um trecho do log sobre
+// um snapshot que já o inclui não altera o resultado. A compactação grava um novo snapshot
+// e troca o log por um vazio (novo arquivo), o que faz os leitores recarregarem tudo.
+class LogStorage extends FileStorage {
+    constructor(dbPath, { compactInterval = COMPACT_INTERVAL, compactThreshold = COMPACT_THRESHOLD } = {}) {
+        super(dbPath);
+        this.compactThreshold = compactThreshold;
+        this.collections = new Set();
+        this.cache = new Map();
+
+        if (compactInterval > 0) {
+            this.compactTimer = setInterval(() => this.compactAll(), compactInterval);
+            this.compactTimer.unref();
+        }
+    }
+
+    logPath(name) {
+        return path.join(this.dbPath, `${name}.log`);
+    }
+
+    files(name) {
+        return [...super.files(name), this.logPath(name)];
+    }
+
+    async init(name) {
+        await super.init(name);
+
+        try {
+            await fs.writeFile(this.logPath(name), '', { flag: 'wx' });
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+
+        this.collections.add(name);
+    }
+
+    // Estado materializado em memória; a cada leitura só o trecho novo do log é aplicado
+    async readDocuments(name) {
+        const fd = await fs.open(this.logPath(name), 'r');
+        try {
+            const { ino, size } = await fs.fstat(fd);
+            const snapshot = await fs.stat(this.filePath(name));
+            const snapshotKey = `${snapshot.ino}:${snapshot.mtimeMs}`;
+            let entry = this.cache.get(name);
+
+            // O log aberto primeiro: se for anterior a uma compactação, o snapshot lido já o inclui
+            if (!entry || entry.ino !== ino || entry.snapshotKey !== snapshotKey || entry.offset > size) {
+                entry = { ino, snapshotKey, offset: 0, documents: await this.readSnapshot(name) };
+                this.cache.set(name, entry);
+            }
+
+            if (size > entry.offset) {
+                const buffer = Buffer.alloc(size - entry.offset);
+                await fs.read(fd, buffer, 0, buffer.length, entry.offset);
+
+                // Uma linha sem quebra no final ainda está sendo gravada (ou foi interrompida)
+                const complete = buffer.lastIndexOf(0x0a) + 1;
+                this.applyLog(name, entry.documents, buffer.toString('utf8', 0, complete));
+                entry.offset += complete;
+            }
+
+            return Array.from(entry.documents.values(), clone);
+        } finally {
+            await fs.close(fd);
+        }
+    }
+
+    async readSnapshot(name) {
+        const filePath = this.filePath(name);
+        const documents = parseCollection(await fs.readFile(filePath, 'utf8'), filePath);
+        return new Map(documents.map(doc => [doc.id, doc]));
+    }
+
+    applyLog(name, documents, content) {
+        content.split('\n').filter(Boolean).forEach(line => {
+            let operation;
+            try {
+                operation = JSON.parse(line);
+            } catch (error) {
+                throw new CorruptCollectionError(this.logPath(name), error);
+            }
+
+            if (operation.op === 'put') {
+                documents.set(operation.document.id, operation.document);
+            } else if (operation.op === 'delete') {
+                documents.delete(operation.id);
+            } else {
+                throw new CorruptCollectionError(this.logPath(name), new Error(`operação desconhecida: ${operation.op}`));
+            }
+        });
+    }
+
+    // Linhas de log para as alterações registradas pelo JsonDatabase
+    formatChanges(changes) {
+        return changes.map(change => JSON.stringify(change.after
+            ? { op: 'put', document: change.after }
+            : { op: 'delete', id: change.id }) + '\n').join('');
+    }
+
+    async commit(entries) {
+        if (entries.length === 1) {
+            const [{ name, index, changes }] = entries;
+            await appendToLog(this.logPath(name), this.formatChanges(changes));
+            await this.writeIndex(name, index);
+            await this.compactIfNeeded(name);
+            return;
+        }
+
+        // Transação: acréscimos (com a posição atual de cada log) e índices no mesmo journal
+        const journalEntries = [];
+        try {
+            for (const { name, index, changes } of entries) {
+                journalEntries.push({
+                    logPath: this.logPath(name),
+                    offset: await this.logLength(name),
+                    data: this.formatChanges(changes)
+                });
+                journalEntries.push({ tempPath: await writeJsonTemp(this.indexPath(name), index), targetPath: this.indexPath(name) });
+            }
+        } catch (error) {
+            await Promise.all(journalEntries
+                .filter(entry => entry.tempPath)
+                .map(entry => fs.remove(entry.tempPath).catch(() => {})));
+            throw error;
+        }
+
+        await commitWithJournal(this.dbPath, journalEntries);
+        entries.forEach(({ name }) => this.indexCache.delete(name));
+    }
+
+    async logLength(name) {
+        const fd = await fs.open(this.logPath(name), 'r');
+        try {
+            const { size } = await fs.fstat(fd);
+            return await completeLength(fd, size);
+        } finally {
+            await fs.close(fd);
+        }
+    }
+
+    // Deve ser chamado dentro do lock da coleção
+    async compactIfNeeded(name) {
+        const { size } = await fs.stat(this.logPath(name));
+        if (size >= this.compactThreshold) {
+            await this.writeSnapshot(name);
+        }
+    }
+
+    // Snapshot primeiro, log vazio depois: uma falha entre os dois só faz o log ser reaplicado
+    async writeSnapshot(name) {
+        const documents = await this.readDocuments(name);
+        await writeJsonAtomic(this.filePath(name), documents);
+
+        const logPath = this.logPath(name);
+        const tempPath = `${logPath}.${process.pid}.compact.tmp`;
+        await fs.writeFile(tempPath, '');
+        await fs.rename(tempPath, logPath);
+        console.log(`Log de ${name} compactado (${documents.length} documentos)`);
+    }
+
+    async compact(name) {
+        const release = await this.lock(name);
+        try {
+            await this.writeSnapshot(name);
+        } finally {
+            await release();
+        }
+    }
+
+    async compactAll() {
+        for (const name of this.collections) {
+            try {
+                const { size } = await fs.stat(this.logPath(name));
+                if (size >= this.compactThreshold) {
+                    await this.compact(name);
+                }
+            } catch (error) {
+                console.error(`Erro ao compactar log de ${name}:`, error.message);
+            }
+        }
+    }
+
+    close() {
+        clearInterval(this.compactTimer);
+    }
+}
+
+module.exports = LogStorage;
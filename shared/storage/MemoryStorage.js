@@ -0,0 +1,60 @@
+const { v4: uuidv4 } = require('uuid');
+const { clone, waitTurn } = require('./common');
+
+// Armazenamento em memória, restrito ao processo: para testes e execuções descartáveis.
+// Os dados são sempre copiados na entrada e na saída, como se viessem de um arquivo.
+class MemoryStorage {
+    constructor() {
+        this.id = uuidv4();
+        this.collections = new Map();
+    }
+
+    files() {
+        return [];
+    }
+
+    async listCollections() {
+        return [...this.collections.keys()].sort();
+    }
+
+    async init(name) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, { documents: [], index: null });
+        }
+    }
+
+    async readDocuments(name) {
+        const collection = this.collections.get(name);
+        return collection ? clone(collection.documents) : [];
+    }
+
+    async readIndex(name, { cached = false } = {}) {
+        const collection = this.collections.get(name);
+        if (!collection || !collection.index) return null;
+        return cached ? collection.index : clone(collection.index);
+    }
+
+    async writeIndex(name, index) {
+        this.collections.get(name).index = clone(index);
+    }
+
+    // Sem await entre as coleções: a gravação é atômica dentro do processo
+    async commit(entries) {
+        const snapshots = entries.map(({ name, documents, index }) => [name, { documents: clone(documents), index: clone(index) }]);
+        snapshots.forEach(([name, collection]) => this.collections.set(name, collection));
+    }
+
+    async probe() {}
+
+    async lock(name) {
+        const releaseTurn = await waitTurn(`memory:${this.id}:${name}`);
+        return async () => releaseTurn();
+    }
+
+    async lockDirectory() {
+        const releaseTurn = await waitTurn(`memory:${this.id}`);
+        return async () => releaseTurn();
+    }
+}
+
+module.exports = MemoryStorage;
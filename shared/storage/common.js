@@ -0,0 +1,337 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Lock entre processos: tempo máximo de espera e idade a partir da qual um lock ilegível
+// (gravação interrompida) é considerado abandonado
+const LOCK_TIMEOUT = 10000;
+const LOCK_STALE_AFTER = 30000;
+
+// Transações: lock do diretório (uma transação por vez) e journal gravado no ponto de commit
+const TRANSACTION_LOCK_FILE = 'transaction.lock';
+const TRANSACTION_JOURNAL_FILE = 'transaction_journal.json';
+
+// Fila por chave de lock, compartilhada entre instâncias do mesmo processo
+const lockQueues = new Map();
+
+class CorruptCollectionError extends Error {
+    constructor(filePath, cause) {
+        super(`Coleção corrompida: ${filePath} (${cause.message})`);
+        this.name = 'CorruptCollectionError';
+        this.filePath = filePath;
+        this.cause = cause;
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+function clone(document) {
+    return JSON.parse(JSON.stringify(document));
+}
+
+// Nunca tratar um arquivo ilegível como coleção vazia: a próxima escrita apagaria os dados
+function parseCollection(content, filePath) {
+    let documents;
+    try {
+        documents = JSON.parse(content);
+    } catch (error) {
+        throw new CorruptCollectionError(filePath, error);
+    }
+
+    if (!Array.isArray(documents)) {
+        throw new CorruptCollectionError(filePath, new Error('conteúdo não é um array'));
+    }
+    return documents;
+}
+
+// Escreve o conteúdo em um arquivo temporário ao lado do destino, com fsync, e retorna seu caminho
+async function writeJsonTemp(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.${uuidv4()}.tmp`;
+    try {
+        const fd = await fs.open(tempPath, 'w');
+        try {
+            await fs.writeFile(fd, JSON.stringify(data, null, 2));
+            await fs.fsync(fd);
+        } finally {
+            await fs.close(fd);
+        }
+        return tempPath;
+    } catch (error) {
+        await fs.remove(tempPath).catch(() => {});
+        throw error;
+    }
+}
+
+// Escreve em arquivo temporário e renomeia: o arquivo final nunca fica truncado
+async function writeJsonAtomic(filePath, data) {
+    const tempPath = await writeJsonTemp(filePath, data);
+    try {
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.remove(tempPath).catch(() => {});
+        throw error;
+    }
+}
+
+// Remove temporários de gravações interrompidas (processo dono morto) para os arquivos indicados
+async function removeStaleTempFiles(dirPath, targets) {
+    const files = await fs.readdir(dirPath);
+
+    for (const file of files) {
+        const match = file.match(/^(.+)\.(\d+)\.[\w-]+\.tmp$/);
+        if (!match || !targets.includes(match[1])) continue;
+
+        const pid = parseInt(match[2], 10);
+        if (pid !== process.pid && isProcessAlive(pid)) continue;
+
+        await fs.remove(path.join(dirPath, file));
+        console.warn(`Arquivo temporário abandonado removido: ${file}`);
+    }
+}
+
+// Vez na fila do processo para a chave; retorna a função que passa a vez adiante
+async function waitTurn(key) {
+    const previous = lockQueues.get(key) || Promise.resolve();
+    let releaseTurn;
+    const turn = new Promise(resolve => { releaseTurn = resolve; });
+    lockQueues.set(key, previous.then(() => turn));
+
+    await previous;
+    return releaseTurn;
+}
+
+// Lock exclusivo: fila no processo + arquivo criado com flag wx entre processos.
+// Retorna a função que libera o lock.
+async function acquireLock(lockPath) {
+    const releaseTurn = await waitTurn(lockPath);
+    let token;
+    try {
+        token = await acquireFileLock(lockPath);
+    } catch (error) {
+        releaseTurn();
+        throw error;
+    }
+
+    return async () => {
+        try {
+            // Só remove o arquivo se ele ainda for deste lock
+            const lock = await fs.readJson(lockPath).catch(() => null);
+            if (lock && lock.token === token) {
+                await fs.remove(lockPath);
+            }
+        } finally {
+            releaseTurn();
+        }
+    };
+}
+
+// Cria o arquivo de lock com um token próprio desta aquisição e retorna o token
+async function acquireFileLock(lockPath) {
+    const deadline = Date.now() + LOCK_TIMEOUT;
+    const token = uuidv4();
+    let delay = 10;
+
+    while (true) {
+        try {
+            await fs.writeFile(lockPath, JSON.stringify({
+                pid: process.pid,
+                token,
+                acquiredAt: Date.now()
+            }), { flag: 'wx' });
+            return token;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+
+        if (await removeStaleLock(lockPath)) {
+            continue;
+        }
+
+        if (Date.now() > deadline) {
+            throw new Error(`Tempo esgotado aguardando lock ${path.basename(lockPath)}`);
+        }
+
+        await sleep(delay);
+        delay = Math.min(delay * 2, 200);
+    }
+}
+
+// Remove o lock se o processo dono morreu. Um dono vivo nunca perde o lock, por mais que
+// demore (compactação, restore, transação longa). Lock ilegível só é removido se for antigo.
+async function removeStaleLock(lockPath) {
+    let content;
+    try {
+        content = await fs.readFile(lockPath, 'utf8');
+    } catch (error) {
+        // Lock liberado entre as tentativas
+        if (error.code === 'ENOENT') return true;
+        throw error;
+    }
+
+    let lock = null;
+    try {
+        lock = JSON.parse(content);
+    } catch (error) {
+        // Pode estar sendo escrito agora
+        const stats = await fs.stat(lockPath).catch(() => null);
+        if (!stats) return true;
+        if (Date.now() - stats.mtimeMs <= LOCK_STALE_AFTER) return false;
+    }
+
+    if (lock && isProcessAlive(lock.pid)) return false;
+
+    if (await removeLockIfUnchanged(lockPath, content)) {
+        console.warn(`Lock abandonado removido: ${lockPath} (PID ${lock ? lock.pid : 'desconhecido'})`);
+    }
+    return true;
+}
+
+// Read-then-remove direto teria corrida: dois processos concluem que o lock está abandonado
+// e o segundo apaga o lock que o primeiro acabou de criar. Por isso o arquivo é renomeado
+// para um nome único (atômico: só um processo consegue) e só é apagado se ainda tiver o
+// conteúdo julgado abandonado; se for um lock novo, volta para o lugar.
+async function removeLockIfUnchanged(lockPath, expectedContent) {
+    const claimedPath = `${lockPath}.${process.pid}.${uuidv4()}.stale`;
+    try {
+        await fs.rename(lockPath, claimedPath);
+    } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+    }
+
+    const content = await fs.readFile(claimedPath, 'utf8').catch(() => null);
+    if (content === expectedContent) {
+        await fs.remove(claimedPath);
+        return true;
+    }
+
+    try {
+        await fs.link(claimedPath, lockPath);
+    } catch (error) {
+        console.error(`Lock ${lockPath} foi trocado durante a remoção de um lock abandonado e não pôde ser restaurado: ${error.message}`);
+    }
+    await fs.remove(claimedPath);
+    return false;
+}
+
+// Acrescenta ao final de um arquivo de log com fsync. Uma linha incompleta deixada por uma
+// gravação interrompida é descartada antes, para não se fundir com a próxima entrada.
+async function appendToLog(logPath, data, offset = null) {
+    const fd = await fs.open(logPath, 'a+');
+    try {
+        const { size } = await fs.fstat(fd);
+        const start = offset === null ? await completeLength(fd, size) : offset;
+        if (start < size) {
+            await fs.ftruncate(fd, start);
+        }
+        await fs.write(fd, data);
+        await fs.fsync(fd);
+    } finally {
+        await fs.close(fd);
+    }
+}
+
+// Tamanho do arquivo até a última quebra de linha
+async function completeLength(fd, size) {
+    if (size === 0) return 0;
+
+    const last = Buffer.alloc(1);
+    await fs.read(fd, last, 0, 1, size - 1);
+    if (last[0] === 0x0a) return size;
+
+    const content = Buffer.alloc(size);
+    await fs.read(fd, content, 0, size, 0);
+    return content.lastIndexOf(0x0a) + 1;
+}
+
+// Conclui uma transação cujo processo morreu depois do ponto de commit (journal gravado).
+// Entradas { tempPath, targetPath } são renames pendentes; { logPath, offset, data } são
+// acréscimos a logs, refeitos apenas se o log ainda não contém os dados naquela posição.
+async function recoverJournal(dbPath) {
+    const journalPath = path.join(dbPath, TRANSACTION_JOURNAL_FILE);
+
+    let journal;
+    try {
+        journal = await fs.readJson(journalPath);
+    } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw new CorruptCollectionError(journalPath, error);
+    }
+
+    // Commit ainda em andamento (inclusive por outra instância deste processo)
+    if (isProcessAlive(journal.pid)) return;
+
+    for (const entry of journal.entries) {
+        if (entry.logPath) {
+            if (!(await logContains(entry.logPath, entry.offset, entry.data))) {
+                await appendToLog(entry.logPath, entry.data, entry.offset);
+            }
+            continue;
+        }
+
+        try {
+            await fs.rename(entry.tempPath, entry.targetPath);
+        } catch (error) {
+            // Já renomeado antes da falha (ou por outro processo recuperando ao mesmo tempo)
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    await fs.remove(journalPath);
+    console.warn(`Transação interrompida concluída a partir do journal em ${dbPath}`);
+}
+
+async function logContains(logPath, offset, data) {
+    const expected = Buffer.from(data);
+    const fd = await fs.open(logPath, 'r');
+    try {
+        const actual = Buffer.alloc(expected.length);
+        const { bytesRead } = await fs.read(fd, actual, 0, expected.length, offset);
+        return bytesRead === expected.length && actual.equals(expected);
+    } finally {
+        await fs.close(fd);
+    }
+}
+
+// Grava o journal (ponto de commit), aplica cada entrada e remove o journal
+async function commitWithJournal(dbPath, entries) {
+    const journalPath = path.join(dbPath, TRANSACTION_JOURNAL_FILE);
+    await writeJsonAtomic(journalPath, { pid: process.pid, createdAt: new Date().toISOString(), entries });
+
+    for (const entry of entries) {
+        if (entry.logPath) {
+            await appendToLog(entry.logPath, entry.data, entry.offset);
+        } else {
+            await fs.rename(entry.tempPath, entry.targetPath);
+        }
+    }
+    await fs.remove(journalPath);
+}
+
+module.exports = {
+    TRANSACTION_LOCK_FILE,
+    TRANSACTION_JOURNAL_FILE,
+    CorruptCollectionError,
+    clone,
+    parseCollection,
+    writeJsonTemp,
+    writeJsonAtomic,
+    removeStaleTempFiles,
+    waitTurn,
+    acquireLock,
+    appendToLog,
+    completeLength,
+    recoverJournal,
+    commitWithJournal
+};
@@ -0,0 +1,51 @@
+const path = require('path');
+const FileStorage = require('./FileStorage');
+const MemoryStorage = require('./MemoryStorage');
+const LogStorage = require('./LogStorage');
+const { CorruptCollectionError } = require('./common');
+
+// Adaptadores de armazenamento do JsonDatabase. Todos implementam, por coleção:
+//   init(name)                   prepara a coleção e recupera falhas anteriores
+//   readDocuments(name)          documentos (cópia que pode ser alterada)
+//   readIndex(name, { cached })  índice ou null; writeIndex(name, index)
+//   commit(entries)              grava [{ name, documents, index, changes }] de forma atômica
+//   lock(name), lockDirectory()  locks exclusivos; retornam a função que libera
+//   probe()                      testa uma gravação no armazenamento (health check)
+//   files(name)                  arquivos da coleção no diretório (vazio se não houver)
+//   listCollections()            nomes das coleções existentes
+const adapters = {
+    file: FileStorage,
+    memory: MemoryStorage,
+    log: LogStorage
+};
+
+// Um adaptador por tipo e diretório, para que instâncias do mesmo banco compartilhem estado
+const defaultStorages = new Map();
+
+function createStorage(type, dbPath, options) {
+    const Adapter = adapters[type];
+    if (!Adapter) {
+        throw new Error(`Armazenamento desconhecido: ${type} (use ${Object.keys(adapters).join(', ')})`);
+    }
+    return new Adapter(dbPath, options);
+}
+
+// Adaptador usado quando o JsonDatabase não recebe um: definido por JSONDB_STORAGE (padrão file)
+function getDefaultStorage(dbPath) {
+    const type = process.env.JSONDB_STORAGE || 'file';
+    const key = `${type}:${path.resolve(dbPath)}`;
+
+    if (!defaultStorages.has(key)) {
+        defaultStorages.set(key, createStorage(type, dbPath));
+    }
+    return defaultStorages.get(key);
+}
+
+module.exports = {
+    FileStorage,
+    MemoryStorage,
+    LogStorage,
+    CorruptCollectionError,
+    createStorage,
+    getDefaultStorage
+};
@@ -0,0 +1,25 @@
+// Normalização de texto para o índice de texto do JsonDatabase: minúsculas, sem acentos
+// ("Feijão" e "feijao" viram o mesmo termo) e sem palavras vazias do português.
+const STOPWORDS = new Set([
+  'a', 'o', 'as', 'os', 'e', 'de', 'da', 'do', 'das', 'dos', 'em', 'na', 'no', 'nas', 'nos',
+  'um', 'uma', 'uns', 'umas', 'para', 'pra', 'por', 'com', 'sem', 'ao', 'aos', 'ou'
+]);
+
+function foldText(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+// Termos do texto, na ordem em que aparecem (com repetições, para contar ocorrências)
+function tokenize(text) {
+  return foldText(text)
+    .split(/[^a-z0-9]+/)
+    .filter(term => term && !STOPWORDS.has(term));
+}
+
+module.exports = {
+  foldText,
+  tokenize
+};
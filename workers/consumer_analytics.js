@@ -1,52 +1,69 @@
-const amqp = require('amqplib');
-const serviceRegistry = require('../shared/serviceRegistry');
-
 require('dotenv').config();
 
-const RABBIT_URL = process.env.RABBITMQ_URL;
-const EXCHANGE = 'shopping_events';
+const path = require('path');
+const rabbit = require('../shared/rabbitmq');
+const events = require('../shared/events');
+const { createIdempotencyStore } = require('../shared/idempotency');
+const serviceRegistry = require('../shared/serviceRegistry');
+const { registerWorker } = require('../shared/serviceConfig');
+
+const QUEUE = 'analytics.checkout';
 const BINDING_KEY = 'list.checkout.#';
 
+// Eventos já processados (reentregas não geram gasto em dobro)
+const processedEvents = createIdempotencyStore(path.join(__dirname, 'database'));
+
 function calcTotalFromItems(items) {
   if (!items || !Array.isArray(items)) return 0;
   return items.reduce((sum, it) => sum + ((it.estimatedPrice || 0) * (it.quantity || 0)), 0);
 }
 
+async function recordCheckout({ listId, items, summary }) {
+  let total = 0;
+  if (summary && summary.estimatedTotal) {
+    total = summary.estimatedTotal;
+  } else {
+    total = calcTotalFromItems(items);
+  }
+
+  console.log(`[Analytics Worker] Lista ${listId} total gasto R$ ${total.toFixed(2)})`);
+}
+
 async function start() {
-  try {
-    const conn = await amqp.connect(RABBIT_URL);
-    const ch = await conn.createChannel();
-    await ch.assertExchange(EXCHANGE, 'topic', { durable: true });
-
-    const q = await ch.assertQueue('', { exclusive: true });
-    await ch.bindQueue(q.queue, EXCHANGE, BINDING_KEY);
-
-    console.log('[Analytics Worker] Aguardando mensagens em', q.queue);
-
-    ch.consume(q.queue, async (msg) => {
-      if (!msg) return;
-      try {
-        const payload = JSON.parse(msg.content.toString());
-
-        let total = 0;
-        if (payload.summary && payload.summary.estimatedTotal) {
-          total = payload.summary.estimatedTotal;
-        } else {
-          total = calcTotalFromItems(payload.items);
-        }
-
-        console.log(`[Analytics Worker] Lista ${payload.id} total gasto R$ ${total.toFixed(2)})`);
-
-        ch.ack(msg);
-      } catch (err) {
-        console.error('[Analytics Worker] Erro ao processar mensagem:', err.message);
-        ch.nack(msg, false, false);
+  // Fila durável: mensagens publicadas com o worker parado ficam esperando por ele
+  await rabbit.subscribe({
+    queue: QUEUE,
+    bindingKeys: [BINDING_KEY],
+    prefetch: 10,
+    handler: processedEvents.wrap(events.handleEvents({
+      'list.checkout.completed': {
+        1: data => recordCheckout({ ...data, listId: data.id }),
+        2: recordCheckout
       }
-    });
-  } catch (error) {
-    console.error('[Analytics Worker] Falha ao conectar/consumir:', error.message);
-    process.exit(1);
-  }
+    }))
+  });
+
+  console.log('[Analytics Worker] Aguardando mensagens em', QUEUE);
+  registerWorker('analytics-worker', {
+    version: require('../package.json').version,
+    tags: ['worker'],
+    metadata: { queue: QUEUE, bindingKeys: [BINDING_KEY] }
+  });
+
+  // Encerramento: sai do registry e fecha a conexão com o broker
+  const shutdown = () => {
+    serviceRegistry.cleanup()
+      .then(() => rabbit.close())
+      .finally(() => process.exit(0));
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+
+  const { retained, duplicatesRetained } = await processedEvents.stats();
+  console.log(`[Analytics Worker] ${retained} evento(s) processado(s) retidos, ${duplicatesRetained} duplicado(s) ignorado(s)`);
 }
 
-start();
+start().catch((error) => {
+  console.error('[Analytics Worker] Falha ao consumir:', error.message);
+  process.exit(1);
+});